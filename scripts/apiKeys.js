@@ -0,0 +1,49 @@
+import { ApiKeyStore, ApiKeyError, LIMIT_FIELDS } from "../services/apiKeys.js";
+
+const USAGE = `Usage: npm run keys -- <command>
+  create <name> [--perMinute N] [--perDay N] [--monthlyTokens N]
+  list
+  limits <id> [--perMinute N|default] [--perDay N|default] [--monthlyTokens N|default]
+  revoke <id>
+
+The running server keeps keys in memory; while it runs, manage keys through the /admin/keys routes instead.`;
+
+function parseLimits(args) {
+  const limits = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const field = args[i].replace(/^--/, "");
+    if (!LIMIT_FIELDS.includes(field) || args[i + 1] === undefined) throw new Error(`Unknown or incomplete option: ${args[i]}`);
+    limits[field] = args[i + 1] === "default" ? null : Number(args[i + 1]);
+  }
+  return limits;
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  if (command === "create" && args[0]) {
+    const { key, record } = await ApiKeyStore.create({ name: args[0], limits: parseLimits(args.slice(1)) });
+    console.log(`Created key ${record.id} (${record.name})`);
+    console.log(`API key (shown once): ${key}`);
+  } else if (command === "list") {
+    for (const key of await ApiKeyStore.list()) {
+      const status = key.revokedAt ? `revoked ${key.revokedAt}` : `last used ${key.lastUsedAt || "never"}`;
+      console.log(`${key.id}  ${key.prefix}…  ${key.name}  [${status}]`);
+      console.log(`    limits ${JSON.stringify(key.effectiveLimits)}  today ${key.usage.day.used} requests  month ${key.usage.month.tokens.total} tokens`);
+    }
+  } else if (command === "limits" && args[0]) {
+    const record = await ApiKeyStore.update(args[0], { limits: parseLimits(args.slice(1)) });
+    if (!record) throw new Error(`No API key with id ${args[0]}`);
+    console.log(`Limits for ${record.id}: ${JSON.stringify(ApiKeyStore.limitsFor(record))}`);
+  } else if (command === "revoke" && args[0]) {
+    const record = await ApiKeyStore.revoke(args[0]);
+    if (!record) throw new Error(`No API key with id ${args[0]}`);
+    console.log(`Revoked ${record.id} at ${record.revokedAt}`);
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error instanceof ApiKeyError ? `${error.message}:\n  ${error.validationErrors.join("\n  ")}` : error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,18 @@
+import { ProductStore } from "../services/productStore.js";
+
+const files = process.argv.slice(2);
+
+if (files.length === 0) {
+  console.error("Usage: npm run import:products -- <dump.json|dump.jsonl|dump.csv> [...more dumps]");
+  process.exit(1);
+}
+
+for (const file of files) {
+  try {
+    const { imported, skipped, total } = await ProductStore.importDump(file);
+    console.log(`${file}: imported ${imported}, skipped ${skipped} (store now holds ${total} products)`);
+  } catch (error) {
+    console.error(`Failed to import ${file}:`, error.message);
+    process.exitCode = 1;
+  }
+}
@@ -1,52 +1,314 @@
 // server.mjs
+import crypto from "crypto";
 import express from "express";
+import multer from "multer";
 import config from "./config.js";
-import { ImageAnalysisService, ComprehensiveAnalysisService } from "./services/analysis.js";
+import { ImageInputService, ImageInputError } from "./services/imageInput.js";
+import { BarcodeService } from "./services/barcode.js";
+import { ProductStore } from "./services/productStore.js";
+import { IngredientTaxonomyService } from "./services/ingredientTaxonomy.js";
+import { SchemaValidator, SchemaValidationError } from "./services/validation.js";
+import { AnalysisPipelineService } from "./services/pipeline.js";
+import { JobQueueService } from "./services/jobs.js";
+import { CacheService } from "./services/cache.js";
+import { MealAnalysisService } from "./services/meal.js";
+import { MEAL_CORRECTION_SCHEMA } from "./services/schemas.js";
+import { ProfileStore, ProfileValidationError } from "./services/profiles.js";
+import { HistoryStore, HistoryError } from "./services/history.js";
+import { RecommendationService } from "./services/recommendations.js";
+import { ProductComparisonService, COMPARE_LIMITS } from "./services/comparison.js";
+import { LABEL_REGIMES } from "./services/nutritionLabel.js";
+import { SafeFetchService, BlockedUrlError } from "./services/safeFetch.js";
+import { ApiKeyStore, ApiKeyError } from "./services/apiKeys.js";
+import { RequestContext } from "./services/requestContext.js";
+import { CostService } from "./services/costs.js";
+import { Logger } from "./services/logger.js";
+import { Tracer } from "./services/tracing.js";
+import { MetricsService } from "./services/metrics.js";
 
 const app = express();
-app.use(express.json({ limit: "1mb" }));
+app.use(express.json({ limit: Math.ceil(config.uploads.maxImageBytes * 4 / 3) + 64 * 1024 }));
 
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
+const uploader = (files) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.uploads.maxImageBytes, files },
+  fileFilter: (req, file, cb) => {
+    if (config.uploads.allowedMimeTypes.includes(file.mimetype?.toLowerCase())) return cb(null, true);
+    cb(new ImageInputError(415, "unsupported_image_type", `Unsupported image type: ${file.mimetype}`));
+  }
 });
 
-app.post("/analyze-comprehensive", async (req, res) => {
-  try {
-    const { imageUrl } = req.body;
-    if (!imageUrl) {
-      return res.status(400).json({ error: "imageUrl is required" });
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, RequestContext.bind((error) => {
+    if (!error) return next();
+    if (error instanceof ImageInputError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
     }
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: error.code.toLowerCase(), message: error.message });
+    }
+    next(error);
+  }));
+};
 
-    console.log('Processing comprehensive analysis for image URL:', imageUrl);
+const imageUpload = handleUpload(uploader(1).single("image"));
+const imagesUpload = handleUpload(uploader(COMPARE_LIMITS.max).array("images", COMPARE_LIMITS.max));
 
-    const productData = await ImageAnalysisService.analyzeProductImage(imageUrl);
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
-    const primaryQuery = ImageAnalysisService.buildSearchQuery(productData);
-    const searchResults = await ImageAnalysisService.performWebSearch(primaryQuery, productData);
+// Request id, root span and cost ledger for everything the request does; logged and totalled once it closes
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const span = Tracer.startSpan(`${req.method} ${req.path}`, {
+    kind: "server",
+    parent: Tracer.parseTraceparent(req.get("traceparent")),
+    attributes: { "http.method": req.method, "http.target": req.originalUrl, "http.request_id": requestId }
+  });
+  const context = { requestId, apiKeyId: null, costs: CostService.ledger(), span };
+  req.id = requestId;
+  res.set({ "X-Request-Id": requestId, "traceparent": span.traceparent });
+  MetricsService.requestStarted();
 
-    const comprehensiveResult = await ComprehensiveAnalysisService.analyzeComprehensive(productData, searchResults);
+  res.on("close", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+    const endpoint = route ? `${req.method} ${route}` : `${req.method} (unmatched)`;
+    span.name = route ? endpoint : span.name;
+    span.setAttributes({ "http.route": route, "http.status_code": res.statusCode, "api_key.id": context.apiKeyId });
+    span.finish(res.statusCode >= 500 ? "error" : "ok");
+    // Unmatched paths share one label so scanners cannot create a series per URL
+    MetricsService.requestFinished({ method: req.method, route: route || "(unmatched)", status: res.statusCode, durationMs: span.durationMs });
 
-    if (!comprehensiveResult) {
-      return res.status(500).json({
-        error: "Failed to parse comprehensive analysis response",
-        productData,
-        searchQuery: primaryQuery,
-        searchResults: searchResults.slice(0, 6)
+    RequestContext.run(context, () => {
+      Logger.log(res.statusCode >= 500 ? "error" : "info", "request completed", {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(span.durationMs),
+        aborted: !res.writableFinished,
+        apiKeyId: context.apiKeyId
       });
+      CostService.record(context.costs, { endpoint, apiKeyId: context.apiKeyId })
+        .catch(error => Logger.warn("Failed to record request costs", { error: error.message }));
+    });
+  });
+  RequestContext.run(context, next);
+});
+
+const PUBLIC_PATHS = new Set(["/health", "/metrics"]);
+
+const bearerToken = (req) => (req.get("authorization") || "").match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+
+const setRateLimitHeaders = (res, usage) => {
+  res.set({
+    "X-RateLimit-Limit": String(usage.minute.limit),
+    "X-RateLimit-Remaining": String(usage.minute.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(Date.parse(usage.minute.resetAt) / 1000)),
+    "X-RateLimit-Limit-Day": String(usage.day.limit),
+    "X-RateLimit-Remaining-Day": String(usage.day.remaining),
+    "X-RateLimit-Reset-Day": String(Math.ceil(Date.parse(usage.day.resetAt) / 1000))
+  });
+};
+
+const authenticate = async (req, res, next) => {
+  if (!config.auth.enabled || PUBLIC_PATHS.has(req.path) || req.path.startsWith("/admin/")) return next();
+
+  try {
+    // EventSource cannot send headers, so the stream endpoint also accepts ?apiKey=
+    const key = req.get("x-api-key") || bearerToken(req) || (req.path === "/analyze-comprehensive/stream" ? req.query.apiKey : null);
+    if (!key) {
+      res.set("WWW-Authenticate", 'Bearer realm="api"');
+      return res.status(401).json({ error: "missing_api_key", message: "Send an API key in the X-API-Key header or as a Bearer token" });
+    }
+    const record = await ApiKeyStore.authenticate(key);
+    if (!record) {
+      res.set("WWW-Authenticate", 'Bearer realm="api", error="invalid_token"');
+      return res.status(401).json({ error: "invalid_api_key", message: "API key is unknown or has been revoked" });
     }
 
-    return res.json({
-      ...comprehensiveResult,
-      debug: {
-        searchQuery: primaryQuery,
-        searchResultsCount: searchResults.length,
-        scrapedPagesCount: Math.min(5, searchResults.length)
-      }
+    // Checking usage is free so clients can poll it while throttled
+    const outcome = req.path === "/me/usage"
+      ? { allowed: true, usage: await ApiKeyStore.usage(record) }
+      : await ApiKeyStore.consume(record);
+    setRateLimitHeaders(res, outcome.usage);
+    if (!outcome.allowed) {
+      res.set("Retry-After", String(outcome.retryAfter));
+      return res.status(429).json({
+        error: outcome.code,
+        message: outcome.code === "token_budget_exceeded"
+          ? `Monthly token budget of ${outcome.usage.month.tokenBudget} exhausted`
+          : `Rate limit of ${outcome.usage[outcome.window].limit} requests per ${outcome.window} exceeded`,
+        window: outcome.window,
+        retryAfter: outcome.retryAfter
+      });
+    }
+
+    req.apiKey = record;
+    RequestContext.get().apiKeyId = record.id;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.use(authenticate);
+
+const requireAdmin = (req, res, next) => {
+  if (!config.auth.adminToken) {
+    return res.status(403).json({ error: "admin_disabled", message: "Set ADMIN_TOKEN to enable the admin routes" });
+  }
+  const token = req.get("x-admin-token") || bearerToken(req) || "";
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(config.auth.adminToken))) {
+    return res.status(401).json({ error: "invalid_admin_token", message: "Admin token is missing or incorrect" });
+  }
+  next();
+};
+
+const resolveImage = async (req, res) => {
+  try {
+    return await ImageInputService.validateRemote(ImageInputService.resolve(req));
+  } catch (error) {
+    if (!(error instanceof ImageInputError)) throw error;
+    res.status(error.status).json({ error: error.code, message: error.message });
+    return null;
+  }
+};
+
+// Returns null when no profile was requested and undefined once a 404 has been sent
+const resolveProfile = async (req, res) => {
+  const profileId = req.body?.profileId || req.query.profileId || req.get("x-profile-id");
+  if (!profileId) return null;
+  const profile = await ProfileStore.get(profileId, req.apiKey?.id);
+  if (!profile) {
+    res.status(404).json({ error: "profile_not_found", id: profileId });
+    return undefined;
+  }
+  return profile;
+};
+
+// Returns null for anonymous requests and undefined once a 400 has been sent
+const resolveUserId = (req, res) => {
+  const userId = req.body?.userId || req.query.userId || req.get("x-user-id");
+  if (!userId) return null;
+  if (!HistoryStore.validUserId(userId)) {
+    res.status(400).json({ error: "invalid_user_id", message: "userId must be 1-128 letters, digits or . _ @ : -" });
+    return undefined;
+  }
+  return userId;
+};
+
+// Returns the requested nutrition label regime, or undefined once a 400 has been sent
+const resolveRegime = (req, res) => {
+  const regime = (req.body?.regime || req.query.regime || config.nutrition.regime).toString().toLowerCase();
+  if (LABEL_REGIMES.includes(regime)) return regime;
+  res.status(400).json({ error: "invalid_regime", message: `regime must be one of ${LABEL_REGIMES.join(", ")}` });
+  return undefined;
+};
+
+const wantsEventStream = (req) => (req.get("accept") || "").includes("text/event-stream");
+
+const streamAnalysis = async (req, res) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let eventId = 0;
+  const send = (event, data) => {
+    if (closed || res.writableEnded) return;
+    res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => !closed && res.write(": keep-alive\n\n"), 15000);
+  // req "close" fires once a POST body has been read; only the response closing early means the client left
+  res.on("close", () => {
+    if (!res.writableEnded) closed = true;
+    clearInterval(heartbeat);
+  });
+
+  try {
+    const image = await ImageInputService.validateRemote(ImageInputService.resolve(req));
+    const profileId = req.body?.profileId || req.query.profileId || req.get("x-profile-id");
+    const profile = profileId ? await ProfileStore.get(profileId, req.apiKey?.id) : null;
+    if (profileId && !profile) {
+      send("error", { error: "profile_not_found", id: profileId, status: 404 });
+      return;
+    }
+    const userId = req.body?.userId || req.query.userId || req.get("x-user-id");
+    if (userId && !HistoryStore.validUserId(userId)) {
+      send("error", { error: "invalid_user_id", status: 400 });
+      return;
+    }
+    const regime = (req.body?.regime || req.query.regime || config.nutrition.regime).toString().toLowerCase();
+    if (!LABEL_REGIMES.includes(regime)) {
+      send("error", { error: "invalid_regime", status: 400 });
+      return;
+    }
+    const result = await AnalysisPipelineService.run(image.imageUrl, {
+      imageSource: image.source,
+      profile,
+      regime,
+      cacheMode: CacheService.modeFromRequest(req),
+      onStage: (stage) => send("stage", { stage }),
+      onEvent: send
     });
+    send("result", await HistoryStore.attach(userId, result, req.apiKey?.id));
+  } catch (error) {
+    if (error instanceof ImageInputError) {
+      send("error", { error: error.code, message: error.message, status: error.status });
+    } else if (error instanceof SchemaValidationError) {
+      send("error", { error: "invalid_model_output", message: error.message, validationErrors: error.errors, ...error.context });
+    } else {
+      Logger.error("Streaming analysis failed", { error });
+      send("error", { error: "internal_error", details: error.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    send("end", {});
+    res.end();
+  }
+};
+
+app.get("/analyze-comprehensive/stream", (req, res) => {
+  req.body = { imageUrl: req.query.imageUrl, profileId: req.query.profileId, userId: req.query.userId, regime: req.query.regime };
+  streamAnalysis(req, res);
+});
+
+app.post("/analyze-comprehensive", imageUpload, async (req, res) => {
+  if (wantsEventStream(req)) return streamAnalysis(req, res);
+
+  try {
+    const profile = await resolveProfile(req, res);
+    if (profile === undefined) return;
+    const userId = resolveUserId(req, res);
+    if (userId === undefined) return;
+    const regime = resolveRegime(req, res);
+    if (!regime) return;
+    const image = await resolveImage(req, res);
+    if (!image) return;
+    const { imageUrl } = image;
+
+    Logger.info("Processing comprehensive analysis", { imageSource: image.source, imageUrl: image.source === "url" ? imageUrl : null, mimeType: image.mimeType, bytes: image.bytes });
+
+    const result = await AnalysisPipelineService.run(imageUrl, { imageSource: image.source, cacheMode: CacheService.modeFromRequest(req), profile, regime });
+    return res.json(await HistoryStore.attach(userId, result, req.apiKey?.id));
 
   } catch (error) {
-    console.error('Comprehensive analysis error:', error);
+    if (error instanceof SchemaValidationError) {
+      return res.status(502).json({
+        error: "invalid_model_output",
+        message: error.message,
+        validationErrors: error.errors,
+        ...error.context
+      });
+    }
+    Logger.error("Comprehensive analysis failed", { error });
     res.status(500).json({ 
       error: "internal_error", 
       details: error.message 
@@ -54,12 +316,372 @@ app.post("/analyze-comprehensive", async (req, res) => {
   }
 });
 
+app.post("/analyze-meal", imageUpload, async (req, res) => {
+  try {
+    // Corrected items re-total without a new vision call
+    if (Array.isArray(req.body?.items) && !req.file && !req.body.imageUrl && !req.body.imageBase64) {
+      const { value: meal, errors } = SchemaValidator.coerce(req.body, MEAL_CORRECTION_SCHEMA);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "invalid_meal_items", validationErrors: errors });
+      }
+      return res.json(await MealAnalysisService.recalculate(meal));
+    }
+
+    const image = await resolveImage(req, res);
+    if (!image) return;
+
+    return res.json(await MealAnalysisService.analyze(image.imageUrl, { imageSource: image.source }));
+  } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return res.status(502).json({ error: "invalid_model_output", message: error.message, validationErrors: error.errors });
+    }
+    Logger.error("Meal analysis failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.post("/compare", imagesUpload, async (req, res) => {
+  try {
+    const images = await Promise.all(ImageInputService.resolveMany(req, COMPARE_LIMITS).map(image => ImageInputService.validateRemote(image)));
+    res.json(await ProductComparisonService.compare(images, { cacheMode: CacheService.modeFromRequest(req) }));
+  } catch (error) {
+    if (error instanceof ImageInputError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    Logger.error("Comparison failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.post("/jobs/analyze", imageUpload, async (req, res) => {
+  try {
+    const profile = await resolveProfile(req, res);
+    if (profile === undefined) return;
+    const userId = resolveUserId(req, res);
+    if (userId === undefined) return;
+    const regime = resolveRegime(req, res);
+    if (!regime) return;
+    const image = await resolveImage(req, res);
+    if (!image) return;
+
+    const { callbackUrl } = req.body || {};
+    if (callbackUrl) {
+      try {
+        await SafeFetchService.check(callbackUrl, { purpose: "webhook" });
+      } catch (error) {
+        if (!(error instanceof BlockedUrlError)) throw error;
+        const message = ["invalid_url", "scheme_not_allowed"].includes(error.reason)
+          ? "callbackUrl must be an http or https URL"
+          : `callbackUrl is not allowed: ${error.reason}`;
+        return res.status(400).json({ error: "invalid_callback_url", message });
+      }
+    }
+
+    const job = await JobQueueService.enqueue({
+      imageUrl: image.imageUrl,
+      imageSource: image.source,
+      cacheMode: CacheService.modeFromRequest(req),
+      profileId: profile?.id || null,
+      userId,
+      regime,
+      callbackUrl: callbackUrl || null,
+      apiKeyId: req.apiKey?.id || null
+    });
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json({ ...JobQueueService.toPublic(job), statusUrl: `/jobs/${job.id}` });
+  } catch (error) {
+    Logger.error("Job enqueue failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.get("/jobs/:id", async (req, res) => {
+  const job = await JobQueueService.get(req.params.id, req.apiKey?.id);
+  if (!job) {
+    return res.status(404).json({ error: "job_not_found", id: req.params.id });
+  }
+  res.json(JobQueueService.toPublic(job));
+});
+
+app.post("/profiles", async (req, res) => {
+  try {
+    const profile = await ProfileStore.create(req.body, req.apiKey?.id);
+    res.status(201).location(`/profiles/${profile.id}`).json(profile);
+  } catch (error) {
+    if (error instanceof ProfileValidationError) {
+      return res.status(400).json({ error: "invalid_profile", validationErrors: error.errors });
+    }
+    Logger.error("Profile create failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.get("/profiles/:id", async (req, res) => {
+  try {
+    const profile = await ProfileStore.get(req.params.id, req.apiKey?.id);
+    if (!profile) {
+      return res.status(404).json({ error: "profile_not_found", id: req.params.id });
+    }
+    res.json(profile);
+  } catch (error) {
+    Logger.error("Profile lookup failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.put("/profiles/:id", async (req, res) => {
+  try {
+    const profile = await ProfileStore.update(req.params.id, req.body, req.apiKey?.id);
+    if (!profile) {
+      return res.status(404).json({ error: "profile_not_found", id: req.params.id });
+    }
+    res.json(profile);
+  } catch (error) {
+    if (error instanceof ProfileValidationError) {
+      return res.status(400).json({ error: "invalid_profile", validationErrors: error.errors });
+    }
+    Logger.error("Profile update failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.delete("/profiles/:id", async (req, res) => {
+  try {
+    const removed = await ProfileStore.remove(req.params.id, req.apiKey?.id);
+    if (!removed) {
+      return res.status(404).json({ error: "profile_not_found", id: req.params.id });
+    }
+    res.status(204).end();
+  } catch (error) {
+    Logger.error("Profile delete failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+const validateHistoryUser = (req, res, next) => {
+  if (HistoryStore.validUserId(req.params.userId)) return next();
+  res.status(400).json({ error: "invalid_user_id", message: "userId must be 1-128 letters, digits or . _ @ : -" });
+};
+
+const sendHistoryError = (res, error, label) => {
+  if (error instanceof HistoryError) {
+    const { code, status, message, name, ...details } = error;
+    return res.status(status).json({ error: code, message, ...details });
+  }
+  Logger.error(`${label} failed`, { error });
+  res.status(500).json({ error: "internal_error", details: error.message });
+};
+
+app.get("/users/:userId/history", validateHistoryUser, async (req, res) => {
+  const limit = req.query.limit === undefined ? config.history.pageSize : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100 || !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: "invalid_pagination", message: "limit must be 1-100 and offset a non-negative integer" });
+  }
+  try {
+    res.json(await HistoryStore.list(req.params.userId, { limit, offset, apiKeyId: req.apiKey?.id }));
+  } catch (error) {
+    sendHistoryError(res, error, 'History list');
+  }
+});
+
+app.get("/users/:userId/history/:scanId", validateHistoryUser, async (req, res) => {
+  try {
+    const scan = await HistoryStore.get(req.params.userId, req.params.scanId, req.apiKey?.id);
+    if (!scan) {
+      return res.status(404).json({ error: "scan_not_found", id: req.params.scanId });
+    }
+    res.json(scan);
+  } catch (error) {
+    sendHistoryError(res, error, 'History lookup');
+  }
+});
+
+app.post("/users/:userId/history/:scanId/consumption", validateHistoryUser, async (req, res) => {
+  try {
+    const { entry, scan } = await HistoryStore.logConsumption(req.params.userId, req.params.scanId, req.body, req.apiKey?.id);
+    res.status(201).json({ ...entry, scanId: scan.id, totalServings: scan.consumption.reduce((sum, item) => sum + item.servings, 0) });
+  } catch (error) {
+    sendHistoryError(res, error, 'Consumption log');
+  }
+});
+
+app.get("/users/:userId/intake", validateHistoryUser, async (req, res) => {
+  const windowDays = req.query.window === undefined ? undefined : Number(req.query.window);
+  if (windowDays !== undefined && (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 90)) {
+    return res.status(400).json({ error: "invalid_window", message: "window must be an integer number of days between 1 and 90" });
+  }
+  try {
+    res.json(await HistoryStore.intake(req.params.userId, {
+      period: req.query.period,
+      date: req.query.date,
+      timeZone: req.query.tz,
+      windowDays,
+      apiKeyId: req.apiKey?.id
+    }));
+  } catch (error) {
+    sendHistoryError(res, error, 'Intake summary');
+  }
+});
+
+app.post("/alternatives", async (req, res) => {
+  try {
+    const { barcode: code, analysis = req.body?.product_info ? req.body : null } = req.body || {};
+    const limit = req.body?.limit === undefined ? 5 : Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({ error: "invalid_limit", message: "limit must be an integer between 1 and 20" });
+    }
+    const userId = resolveUserId(req, res);
+    if (userId === undefined) return;
+    const owner = { userId, apiKeyId: req.apiKey?.id };
+
+    let target;
+    if (code) {
+      const barcode = BarcodeService.parse(code);
+      if (!barcode.valid) {
+        return res.status(400).json({ error: "invalid_barcode", reason: barcode.reason, barcode: barcode.code });
+      }
+      target = await RecommendationService.findTarget(barcode.gtin, owner);
+      if (!target) {
+        return res.status(404).json({ error: "product_not_found", barcode: barcode.gtin, format: barcode.format });
+      }
+    } else if (analysis?.product_info) {
+      target = RecommendationService.describe("analysis", analysis);
+    } else {
+      return res.status(400).json({ error: "missing_product", message: "Provide a barcode or a completed analysis with product_info" });
+    }
+
+    res.json(await RecommendationService.alternatives(target, { limit, ...owner }));
+  } catch (error) {
+    Logger.error("Alternatives lookup failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.get("/products/:barcode", async (req, res) => {
+  try {
+    const barcode = BarcodeService.parse(req.params.barcode);
+    if (!barcode.valid) {
+      return res.status(400).json({ error: "invalid_barcode", reason: barcode.reason, barcode: barcode.code });
+    }
+
+    const product = await ProductStore.findByBarcode(barcode.gtin);
+    if (!product) {
+      return res.status(404).json({ error: "product_not_found", barcode: barcode.gtin, format: barcode.format });
+    }
+
+    return res.json({ ...product, format: barcode.format });
+  } catch (error) {
+    Logger.error("Product lookup failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.get("/me/usage", async (req, res) => {
+  if (!req.apiKey) {
+    return res.status(404).json({ error: "auth_disabled", message: "API key authentication is not enabled on this server" });
+  }
+  try {
+    res.json({ key: ApiKeyStore.toPublic(req.apiKey), usage: await ApiKeyStore.usage(req.apiKey) });
+  } catch (error) {
+    Logger.error("Usage lookup failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+const sendApiKeyError = (res, error, label) => {
+  if (error instanceof ApiKeyError) {
+    const { code, status, message, name, ...details } = error;
+    return res.status(status).json({ error: code, message, ...details });
+  }
+  Logger.error(`${label} failed`, { error });
+  res.status(500).json({ error: "internal_error", details: error.message });
+};
+
+app.get("/admin/keys", requireAdmin, async (req, res) => {
+  try {
+    res.json({ keys: await ApiKeyStore.list() });
+  } catch (error) {
+    sendApiKeyError(res, error, 'API key list');
+  }
+});
+
+app.post("/admin/keys", requireAdmin, async (req, res) => {
+  try {
+    const { key, record } = await ApiKeyStore.create(req.body);
+    res.status(201).location(`/admin/keys/${record.id}`).json({ ...ApiKeyStore.toPublic(record), key });
+  } catch (error) {
+    sendApiKeyError(res, error, 'API key create');
+  }
+});
+
+app.patch("/admin/keys/:id", requireAdmin, async (req, res) => {
+  try {
+    const record = await ApiKeyStore.update(req.params.id, req.body);
+    if (!record) {
+      return res.status(404).json({ error: "api_key_not_found", id: req.params.id });
+    }
+    res.json(ApiKeyStore.toPublic(record));
+  } catch (error) {
+    sendApiKeyError(res, error, 'API key update');
+  }
+});
+
+app.delete("/admin/keys/:id", requireAdmin, async (req, res) => {
+  try {
+    const record = await ApiKeyStore.revoke(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: "api_key_not_found", id: req.params.id });
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendApiKeyError(res, error, 'API key revoke');
+  }
+});
+
+app.get("/admin/costs", requireAdmin, async (req, res) => {
+  const { from, to, clientId } = req.query;
+  const validDate = (value) => value === undefined || (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)));
+  if (!validDate(from) || !validDate(to) || (from && to && from > to)) {
+    return res.status(400).json({ error: "invalid_date_range", message: "from and to must be YYYY-MM-DD dates with from <= to" });
+  }
+  try {
+    res.json(await CostService.report({ from, to, apiKeyId: clientId || null }));
+  } catch (error) {
+    Logger.error("Cost report failed", { error });
+    res.status(500).json({ error: "internal_error", details: error.message });
+  }
+});
+
+app.get("/ingredients/taxonomy", (req, res) => {
+  res.json(IngredientTaxonomyService.taxonomy);
+});
+
 app.get("/health", (req, res) => {
   res.json({ status: "healthy", timestamp: new Date().toISOString() });
 });
 
+// Prometheus scrapes without an API key; METRICS_TOKEN restricts it to a bearer token instead
+app.get("/metrics", (req, res) => {
+  if (!config.metrics.enabled) {
+    return res.status(404).json({ error: "not_found", message: "Endpoint not found" });
+  }
+  if (config.metrics.token) {
+    const digest = (value) => crypto.createHash("sha256").update(value).digest();
+    if (!crypto.timingSafeEqual(digest(bearerToken(req) || ""), digest(config.metrics.token))) {
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).json({ error: "invalid_metrics_token", message: "Metrics token is missing or incorrect" });
+    }
+  }
+  res.type("text/plain; version=0.0.4").send(MetricsService.render());
+});
+
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  if (error.type === "entity.too.large") {
+    return res.status(413).json({ error: "payload_too_large", message: "Request body exceeds the allowed size" });
+  }
+  Logger.error("Unhandled error", { error, requestId: req.id });
   res.status(500).json({ error: "internal_server_error", message: "An unexpected error occurred" });
 });
 
@@ -68,6 +690,13 @@ app.use((req, res) => {
 });
 
 app.listen(config.port, () => {
-  console.log(`Server running on port ${config.port}`);
-  console.log(`POST http://localhost:${config.port}/analyze-comprehensive`);
+  Logger.info("Server listening", { port: config.port, endpoint: `POST http://localhost:${config.port}/analyze-comprehensive` });
+  JobQueueService.init();
 });
+
+// Buffered spans would otherwise be lost on a normal shutdown
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    Tracer.flush().finally(() => process.exit(0));
+  });
+}
@@ -1,7 +1,16 @@
 import { OpenAIService } from "./openai.js";
-import { BraveSearchService } from "./brave.js";
+import { SearchService } from "./search.js";
 import { WebScrapingService } from "./scraper.js";
 import { Utils } from "./utils.js";
+import { BarcodeService } from "./barcode.js";
+import { ProductStore } from "./productStore.js";
+import { TestosteroneScoreService } from "./scoring.js";
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+import { SchemaValidator } from "./validation.js";
+import { SourceRankingService } from "./sourceRanking.js";
+import { PRODUCT_DATA_SCHEMA, COMPREHENSIVE_RESULT_SCHEMA } from "./schemas.js";
+import { Logger } from "./logger.js";
+import { MetricsService } from "./metrics.js";
 
 export class ImageAnalysisService {
   static async analyzeProductImage(imageUrl) {
@@ -18,13 +27,16 @@ Return only JSON with fields:
   "product_name": string|null,
   "brand": string|null,
   "net_weight": integer|null,
+  "net_weight_text": string|null,
   "barcode_or_upc": string|null,
   "visible_text": string[],
   "confidence": "high"|"medium"|"low"
 }
 
 Rules:
-- net_weight MUST be an integer number of grams; if unknown, use 0.`
+- net_weight MUST be an integer number of grams; if unknown, use 0.
+- net_weight_text is the net quantity exactly as printed (e.g. "12 fl oz (355 mL)"); if not visible, use null.
+- barcode_or_upc MUST contain only the digits printed under the barcode; if no barcode is readable, use null.`
           },
           {
             type: "image_url",
@@ -34,7 +46,24 @@ Rules:
       }
     ]);
 
-    return Utils.extractJsonFromText(response.choices[0].message.content) || { product_name: null, brand: null };
+    const parsed = Utils.extractJsonFromText(response.choices[0].message.content);
+    if (!parsed) return { product_name: null, brand: null };
+
+    const { value, errors } = SchemaValidator.coerce(parsed, PRODUCT_DATA_SCHEMA);
+    if (errors.length > 0) Logger.warn("Product image data failed validation", { errors });
+    return value;
+  }
+
+  static async lookupProduct(productData) {
+    const barcode = BarcodeService.parse(productData.barcode_or_upc);
+    if (!barcode.valid) return null;
+
+    try {
+      return await ProductStore.findByBarcode(barcode.gtin);
+    } catch (error) {
+      Logger.warn("Product lookup failed", { barcode: barcode.gtin, error: error.message });
+      return null;
+    }
   }
 
   static buildSearchQuery(productData) {
@@ -50,39 +79,45 @@ Rules:
     return (" nutrition facts, ingredients for " + primaryQuery).trim();
   }
 
-  static async performWebSearch(primaryQuery, productData) {
+  static async performWebSearch(primaryQuery, productData, options = {}) {
+    const { cacheMode = "default" } = options;
     const allResults = [];
 
     try {
-      allResults.push({ query: primaryQuery, results: await BraveSearchService.search(primaryQuery, 8) });
+      allResults.push({ query: primaryQuery, results: await SearchService.search(primaryQuery, 8, { cacheMode }) });
     } catch (error) {
       const pname = productData.product_name?.toString()?.trim() || "";
       if (pname && pname !== primaryQuery) {
         const fallbackQuery = `${pname} nutrition facts ingredients`;
         try {
           await new Promise(resolve => setTimeout(resolve, 400));
-          allResults.push({ query: fallbackQuery, results: await BraveSearchService.search(fallbackQuery, 8) });
+          allResults.push({ query: fallbackQuery, results: await SearchService.search(fallbackQuery, 8, { cacheMode }) });
         } catch {}
       }
       const barcode = productData.barcode_or_upc?.toString()?.trim() || "";
       if (barcode && allResults.length === 0) {
         try {
           await new Promise(resolve => setTimeout(resolve, 400));
-          allResults.push({ query: barcode + " nutrition facts", results: await BraveSearchService.search(barcode, 8) });
+          allResults.push({ query: barcode + " nutrition facts", results: await SearchService.search(barcode, 8, { cacheMode }) });
         } catch {}
       }
     }
 
-    return allResults.flatMap(group => group.results || []);
+    return SourceRankingService.rank(allResults.flatMap(group => group.results || []), productData);
   }
 }
 
 export class ComprehensiveAnalysisService {
-  static async analyzeComprehensive(productData, searchResults) {
+  static async analyzeComprehensive(productData, searchResults, options = {}) {
+    const { productRecord = null, onStage = () => {}, onScrape = () => {}, cacheMode = "default" } = options;
     const topResults = searchResults.slice(0, 6);
 
-    const scrapedContent = await WebScrapingService.scrapeMultipleUrls(topResults, 5);
-    const scrapedBlock = Utils.formatScrapedContentForLLM(scrapedContent, 5);
+    if (!productRecord) onStage("scrape");
+    const scrapedContent = productRecord ? [] : await MetricsService.stage("scrape", { "scrape.candidates": topResults.length }, () =>
+      WebScrapingService.scrapeMultipleUrls(topResults, 5, { onResult: onScrape, cacheMode }));
+    const scrapedBlock = productRecord
+      ? `Authoritative product database record (use these nutrition facts and ingredients exactly):\n${JSON.stringify(productRecord, null, 2)}`
+      : Utils.formatScrapedContentForLLM(scrapedContent, 5);
 
     const systemPrompt = `You are a nutrition analyst. Given the photo of a food item, perform ALL of the following steps and return results in JSON only:
 
@@ -199,17 +234,20 @@ IMPORTANT numeric formatting:
 - If a quantity is not available or unknown, use 0 (not null).
 - serving_size MUST be an integer (grams); if unknown, use 0.
 - product_info.net_weight MUST be an integer (grams); if unknown, use 0.
+- serving_size_text and product_info.net_weight_text are copied exactly as printed on the label (e.g. "1 cup (240 ml)", "14.1 oz (400 g)"); if unknown, use null.
 
 {
     "product_info": {
       "product_name": "<product name or Unknown>",
       "brand": "<brand name or Unknown>",
       "net_weight": <net_weight_g or 0>,
+      "net_weight_text": "<net quantity as printed or null>",
       "barcode_or_upc": null,
       "visible_text": []
     },
     "nutrition_facts": {
       "serving_size": <serving_size_g or 0>,
+      "serving_size_text": "<serving size as printed or null>",
       "calories": <nutrition.calories or 0>,
       "total_fat": <nutrition.fat_g or 0>,
       "saturated_fat": <saturated_fat_g or 0>,
@@ -227,7 +265,7 @@ IMPORTANT numeric formatting:
       "potassium": <potassium_mg or 0>
     },
     "ingredients": [
-      /* Optional: expand into objects like
+      /* List EVERY ingredient from the label, in order. Optionally expand into objects like
       {
         "text": "<ingredient name>",
         "testosterone_impact": "positive | neutral | negative",
@@ -279,7 +317,7 @@ IMPORTANT numeric formatting:
     "scoring_method": {
       "equal_weight_rule": "testosterone_score.score = average( macro_balance_subscore , disruptor_subscore )",
       "macro_balance_subscore": "<use macro_balance_score.score>",
-      "disruptor_subscore": "<100 if ingredient_risk.level=='✅', 50 if '⚠', 0 if '❌'; or scale down with count/severity>",
+      "disruptor_subscore": "<100 if ingredient_risk.level=='✅', 65 if '⚠', 20 if '❌'>",
       "notes": "Equal impact between macro balance and hormone disruptors, as requested."
     },
     "original_fields_snapshot": {
@@ -300,25 +338,124 @@ IMPORTANT numeric formatting:
   }
 `;
 
-    const userPrompt = `Analyze this product comprehensively using the image data and detailed web content:
+    const userPrompt = `Analyze this product comprehensively using the image data and detailed ${productRecord ? "product database record" : "web content"}:
 
 Product Data from Image:
 ${JSON.stringify(productData, null, 2)}
 
-Detailed Web Content (Scraped from top search results):
+${productRecord ? "Product Database Record" : "Detailed Web Content (Scraped from top search results)"}:
 ${scrapedBlock}
 
-Please provide comprehensive analysis including nutrition facts, ingredients analysis, processing assessment, and testosterone impact. Use the detailed web content to provide accurate and specific information. Return your response as JSON.`;
+Please provide comprehensive analysis including nutrition facts, ingredients analysis, processing assessment, and testosterone impact. Use the detailed web content to provide accurate and specific information. When a page lists structured facts, prefer them over the free text; they were extracted from the page's nutrition markup and tables (per_100g values must be scaled to the serving size). Return your response as JSON.`;
 
-    const response = await OpenAIService.createChatCompletion([
+    onStage("synthesis");
+    const { value: result, attempts, coercions } = await OpenAIService.createJsonCompletion([
       { role: "system", content: systemPrompt },
       { role: "user", content: userPrompt }
-    ], {
+    ], COMPREHENSIVE_RESULT_SCHEMA, {
+      schemaName: "comprehensive_analysis",
       temperature: 0.1,
       max_tokens: 1500
     });
 
-    const responseContent = response.choices[0].message.content;
-    return Utils.extractJsonFromText(responseContent);
+    const reconciliation = scrapedContent.length > 0 ? SourceRankingService.reconcile(scrapedContent, productData, { servingGrams: result.nutrition_facts?.serving_size }) : null;
+    const merged = productRecord
+      ? this.applyProductRecord(result, productRecord)
+      : reconciliation ? this.applyReconciliation(result, reconciliation) : result;
+    const scored = this.applyScoring(merged);
+    return {
+      ...scored,
+      debug: {
+        ...scored.debug,
+        scrapedPagesCount: scrapedContent.length,
+        reconciliation: reconciliation?.fields || null,
+        validation: { attempts, coercions: coercions.length }
+      }
+    };
+  }
+
+  static applyScoring(result) {
+    const processed = result.processed_profile || {};
+    const hasIngredients = IngredientTaxonomyService.tokenize(result.ingredients || []).length > 0;
+    const disruptors = IngredientTaxonomyService.match(hasIngredients ? result.ingredients : [
+      ...(result.seed_oils || []),
+      ...(processed.added_synthetic_sugars || []),
+      ...(processed.additives || []),
+      ...(processed.refined_carbs || []),
+      ...(result.estrogenic_compounds || [])
+    ]);
+    const fields = IngredientTaxonomyService.toResultFields(disruptors);
+
+    const scoring = TestosteroneScoreService.score({ nutritionFacts: result.nutrition_facts, disruptors });
+
+    return {
+      ...result,
+      seed_oils: fields.seed_oils,
+      estrogenic_compounds: fields.estrogenic_compounds,
+      microplastics: fields.microplastics,
+      processed_profile: { ...processed, ...fields.processed_profile },
+      t_score_impact: TestosteroneScoreService.toImpact(scoring),
+      debug: { scoring, taxonomyVersion: IngredientTaxonomyService.version }
+    };
+  }
+
+  static applyProductRecord(result, productRecord) {
+    const facts = productRecord.nutrition_facts;
+
+    return {
+      ...result,
+      product_info: {
+        ...result.product_info,
+        product_name: productRecord.product_name || result.product_info?.product_name,
+        brand: productRecord.brand || result.product_info?.brand,
+        net_weight: productRecord.net_weight || result.product_info?.net_weight || 0,
+        barcode_or_upc: productRecord.barcode
+      },
+      nutrition_facts: {
+        ...result.nutrition_facts,
+        ...facts,
+        serving_size_text: productRecord.nutrition_basis === "100g" ? "100 g" : result.nutrition_facts?.serving_size_text ?? null
+      },
+      ingredients: productRecord.ingredients.length > 0 ? productRecord.ingredients : result.ingredients,
+      allergens: productRecord.allergens.length > 0 ? productRecord.allergens : result.allergens,
+      macros: {
+        ...result.macros,
+        protein_g: facts.protein,
+        carbs: { fiber_g: facts.dietary_fiber, sugar_g: facts.total_sugars, added_sugar_g: facts.added_sugars },
+        fats: { saturated_g: facts.saturated_fat, trans_g: facts.trans_fat },
+        cholesterol_mg: facts.cholesterol
+      },
+      sources: [{ type: "product_database", source: productRecord.source, barcode: productRecord.barcode, updated_at: productRecord.updated_at }]
+    };
+  }
+
+  static applyReconciliation(result, reconciliation) {
+    const facts = { ...result.nutrition_facts, ...reconciliation.nutritionFacts };
+    if (!facts.serving_size && Object.keys(reconciliation.nutritionFacts).length > 0) facts.serving_size = reconciliation.servingGrams;
+    const reconciled = (field, fallback) => field in reconciliation.nutritionFacts ? facts[field] : fallback;
+    const useIngredients = reconciliation.ingredients && SourceRankingService.tiers.trustedTiers.includes(reconciliation.ingredientsTier);
+
+    return {
+      ...result,
+      nutrition_facts: facts,
+      ingredients: useIngredients ? reconciliation.ingredients : result.ingredients,
+      macros: {
+        ...result.macros,
+        protein_g: reconciled("protein", result.macros?.protein_g),
+        carbs: {
+          ...result.macros?.carbs,
+          fiber_g: reconciled("dietary_fiber", result.macros?.carbs?.fiber_g),
+          sugar_g: reconciled("total_sugars", result.macros?.carbs?.sugar_g),
+          added_sugar_g: reconciled("added_sugars", result.macros?.carbs?.added_sugar_g)
+        },
+        fats: {
+          ...result.macros?.fats,
+          saturated_g: reconciled("saturated_fat", result.macros?.fats?.saturated_g),
+          trans_g: reconciled("trans_fat", result.macros?.fats?.trans_g)
+        },
+        cholesterol_mg: reconciled("cholesterol", result.macros?.cholesterol_mg)
+      },
+      sources: reconciliation.sources
+    };
   }
 }
@@ -0,0 +1,267 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import config from "../config.js";
+import { Logger } from "./logger.js";
+
+const STORE_VERSION = 1;
+const KEY_PREFIX = "pai_";
+const MINUTE_MS = 60 * 1000;
+export const LIMIT_FIELDS = ["perMinute", "perDay", "monthlyTokens"];
+
+let storePromise = null;
+let saveChain = Promise.resolve();
+// Per-minute counters are too short-lived to be worth persisting
+const minuteWindows = new Map();
+
+export class ApiKeyError extends Error {
+  constructor(code, message, status = 400, details = {}) {
+    super(message);
+    this.name = "ApiKeyError";
+    this.code = code;
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function monthKey(now) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+function nextDay(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function nextMonth(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+function emptyUsage(now) {
+  return {
+    day: { date: dayKey(now), requests: 0 },
+    month: { month: monthKey(now), requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+  };
+}
+
+export class ApiKeyStore {
+  static async load() {
+    if (!storePromise) {
+      storePromise = (async () => {
+        const keys = new Map();
+        const usage = new Map();
+        try {
+          const data = JSON.parse(await fs.readFile(config.auth.dbPath, "utf8"));
+          for (const record of Object.values(data.keys || {})) keys.set(record.id, record);
+          for (const [id, entry] of Object.entries(data.usage || {})) usage.set(id, entry);
+        } catch (error) {
+          if (error.code !== "ENOENT") Logger.warn("Failed to load API key store", { error: error.message });
+        }
+        const byHash = new Map([...keys.values()].map(record => [record.hash, record.id]));
+        return { keys, usage, byHash };
+      })();
+    }
+    return storePromise;
+  }
+
+  static save() {
+    saveChain = saveChain.catch(() => {}).then(async () => {
+      const { keys, usage } = await this.load();
+      await fs.mkdir(path.dirname(config.auth.dbPath), { recursive: true });
+      const tmpPath = `${config.auth.dbPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ version: STORE_VERSION, keys: Object.fromEntries(keys), usage: Object.fromEntries(usage) }, null, 2));
+      await fs.rename(tmpPath, config.auth.dbPath);
+    });
+    return saveChain;
+  }
+
+  static validate(input, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+    if (input.name !== undefined || !partial) {
+      if (typeof input.name !== "string" || !input.name.trim() || input.name.length > 100) {
+        errors.push("$.name: must be a non-empty string of at most 100 characters");
+      } else {
+        value.name = input.name.trim();
+      }
+    }
+    if (input.limits !== undefined) {
+      if (!input.limits || typeof input.limits !== "object" || Array.isArray(input.limits)) {
+        errors.push("$.limits: must be an object");
+      } else {
+        value.limits = {};
+        for (const [field, limit] of Object.entries(input.limits)) {
+          if (!LIMIT_FIELDS.includes(field)) {
+            errors.push(`$.limits.${field}: unknown limit; expected one of ${LIMIT_FIELDS.join(", ")}`);
+          } else if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+            errors.push(`$.limits.${field}: must be a positive integer, or null for the server default`);
+          } else {
+            value.limits[field] = limit;
+          }
+        }
+      }
+    }
+    if (errors.length > 0) throw new ApiKeyError("invalid_api_key_request", "API key request does not match the expected shape", 400, { validationErrors: errors });
+    return value;
+  }
+
+  static limitsFor(record) {
+    return Object.fromEntries(LIMIT_FIELDS.map(field => [field, record.limits?.[field] ?? config.auth.defaults[field]]));
+  }
+
+  static toPublic(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, effectiveLimits: this.limitsFor(record) };
+  }
+
+  static async create(input = {}) {
+    const { keys, byHash } = await this.load();
+    const { name, limits = {} } = this.validate(input);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      limits: Object.fromEntries(LIMIT_FIELDS.map(field => [field, limits[field] ?? null])),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    keys.set(record.id, record);
+    byHash.set(record.hash, record.id);
+    await this.save();
+    // The plaintext key only exists in this response; the store keeps its hash
+    return { key, record };
+  }
+
+  static async list() {
+    const { keys } = await this.load();
+    return Promise.all([...keys.values()].map(async record => ({ ...this.toPublic(record), usage: await this.usage(record) })));
+  }
+
+  static async get(id) {
+    const { keys } = await this.load();
+    return keys.get(id) || null;
+  }
+
+  static async update(id, input = {}) {
+    const { keys } = await this.load();
+    const existing = keys.get(id);
+    if (!existing) return null;
+    const { name, limits } = this.validate(input, { partial: true });
+    const record = { ...existing, ...(name ? { name } : {}), limits: { ...existing.limits, ...limits } };
+    keys.set(id, record);
+    await this.save();
+    return record;
+  }
+
+  static async revoke(id) {
+    const { keys } = await this.load();
+    const existing = keys.get(id);
+    if (!existing) return null;
+    if (!existing.revokedAt) {
+      existing.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return existing;
+  }
+
+  static async authenticate(key) {
+    if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+    const { keys, byHash } = await this.load();
+    const record = keys.get(byHash.get(hashKey(key)));
+    return record && !record.revokedAt ? record : null;
+  }
+
+  static async currentUsage(id, now) {
+    const { usage } = await this.load();
+    const entry = usage.get(id) || emptyUsage(now);
+    if (entry.day.date !== dayKey(now)) entry.day = emptyUsage(now).day;
+    if (entry.month.month !== monthKey(now)) entry.month = emptyUsage(now).month;
+    usage.set(id, entry);
+    return entry;
+  }
+
+  static async usage(record, now = Date.now()) {
+    const limits = this.limitsFor(record);
+    const entry = await this.currentUsage(record.id, now);
+    const window = Math.floor(now / MINUTE_MS);
+    const minute = minuteWindows.get(record.id);
+    const minuteCount = minute?.window === window ? minute.count : 0;
+
+    return {
+      minute: {
+        limit: limits.perMinute,
+        used: minuteCount,
+        remaining: Math.max(0, limits.perMinute - minuteCount),
+        resetAt: new Date((window + 1) * MINUTE_MS).toISOString()
+      },
+      day: {
+        date: entry.day.date,
+        limit: limits.perDay,
+        used: entry.day.requests,
+        remaining: Math.max(0, limits.perDay - entry.day.requests),
+        resetAt: new Date(nextDay(now)).toISOString()
+      },
+      month: {
+        month: entry.month.month,
+        requests: entry.month.requests,
+        tokens: {
+          prompt: entry.month.promptTokens,
+          completion: entry.month.completionTokens,
+          total: entry.month.totalTokens
+        },
+        tokenBudget: limits.monthlyTokens,
+        tokensRemaining: Math.max(0, limits.monthlyTokens - entry.month.totalTokens),
+        resetAt: new Date(nextMonth(now)).toISOString()
+      }
+    };
+  }
+
+  // Counts one request against the key, or reports which limit refused it
+  static async consume(record, now = Date.now()) {
+    const before = await this.usage(record, now);
+    const retryAfter = (resetAt) => Math.max(1, Math.ceil((Date.parse(resetAt) - now) / 1000));
+
+    // The budget gates new requests; an analysis already running may finish slightly over it
+    if (before.month.tokensRemaining <= 0) {
+      return { allowed: false, code: "token_budget_exceeded", window: "month", retryAfter: retryAfter(before.month.resetAt), usage: before };
+    }
+    if (before.minute.remaining <= 0) {
+      return { allowed: false, code: "rate_limited", window: "minute", retryAfter: retryAfter(before.minute.resetAt), usage: before };
+    }
+    if (before.day.remaining <= 0) {
+      return { allowed: false, code: "rate_limited", window: "day", retryAfter: retryAfter(before.day.resetAt), usage: before };
+    }
+
+    const window = Math.floor(now / MINUTE_MS);
+    const minute = minuteWindows.get(record.id);
+    minuteWindows.set(record.id, { window, count: minute?.window === window ? minute.count + 1 : 1 });
+    const entry = await this.currentUsage(record.id, now);
+    entry.day.requests++;
+    entry.month.requests++;
+    record.lastUsedAt = new Date(now).toISOString();
+    this.save().catch(error => Logger.warn("Failed to save API key usage", { error: error.message }));
+
+    return { allowed: true, usage: await this.usage(record, now) };
+  }
+
+  static async recordTokens(id, tokens) {
+    if (!id || !tokens) return;
+    const entry = await this.currentUsage(id, Date.now());
+    entry.month.promptTokens += tokens.prompt_tokens || 0;
+    entry.month.completionTokens += tokens.completion_tokens || 0;
+    entry.month.totalTokens += tokens.total_tokens || (tokens.prompt_tokens || 0) + (tokens.completion_tokens || 0);
+    await this.save();
+  }
+}
@@ -0,0 +1,36 @@
+const FORMATS = { 8: "EAN-8", 12: "UPC-A", 13: "EAN-13" };
+
+export class BarcodeService {
+  static computeCheckDigit(payload) {
+    let sum = 0;
+    for (let i = 0; i < payload.length; i++) {
+      const digit = Number(payload[payload.length - 1 - i]);
+      sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  static parse(code) {
+    const digits = (code ?? "").toString().replace(/[\s-]/g, "");
+    const format = FORMATS[digits.length];
+
+    if (!/^\d+$/.test(digits) || !format) {
+      return { valid: false, format: null, code: digits, gtin: null, reason: "unsupported_length" };
+    }
+
+    const expected = this.computeCheckDigit(digits.slice(0, -1));
+    if (expected !== Number(digits.at(-1))) {
+      return { valid: false, format, code: digits, gtin: null, reason: "bad_check_digit" };
+    }
+
+    return { valid: true, format, code: digits, gtin: this.toGtinKey(digits), reason: null };
+  }
+
+  static toGtinKey(digits) {
+    return digits.length === 12 ? `0${digits}` : digits;
+  }
+
+  static isValid(code) {
+    return this.parse(code).valid;
+  }
+}
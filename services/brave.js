@@ -1,22 +1,38 @@
 import fetch from "node-fetch";
 import config from "../config.js";
+import { MetricsService } from "./metrics.js";
 
 export class BraveSearchService {
   static async search(query, count = 6) {
     const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=${count}`;
-    const response = await fetch(url, {
-      headers: { "X-Subscription-Token": config.brave.apiKey }
-    });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.search.timeoutMs);
+    try {
+      const response = await fetch(url, {
+        headers: { "X-Subscription-Token": config.brave.apiKey },
+        signal: controller.signal
+      });
 
-    if (!response.ok) {
-      throw new Error(`Brave API error: ${response.status} ${await response.text()}`);
-    }
+      if (!response.ok) {
+        MetricsService.recordSearchError("brave", response.status);
+        throw new Error(`Brave API error: ${response.status} ${await response.text()}`);
+      }
 
-    const data = await response.json();
-    return (data.web?.results || []).map(item => ({
-      title: item.title || "",
-      link: item.url || "",
-      snippet: item.description || ""
-    }));
+      const data = await response.json();
+      return (data.web?.results || []).map(item => ({
+        title: item.title || "",
+        link: item.url || "",
+        snippet: item.description || ""
+      }));
+    } catch (error) {
+      if (error.name === "AbortError") {
+        MetricsService.recordSearchError("brave", "timeout");
+        throw new Error(`Brave API timed out after ${config.search.timeoutMs}ms`);
+      }
+      if (error.name === "FetchError") MetricsService.recordSearchError("brave", "network");
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 }
@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import config from "../config.js";
+import { BarcodeService } from "./barcode.js";
+import { Logger } from "./logger.js";
+
+export const CACHE_MODES = ["default", "refresh", "bypass"];
+
+export class MemoryLRUBackend {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+export class FileCacheBackend {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  fileFor(key) {
+    const digest = crypto.createHash("sha256").update(key).digest("hex");
+    return path.join(this.dir, digest.slice(0, 2), `${digest}.json`);
+  }
+
+  async get(key) {
+    const file = this.fileFor(key);
+    try {
+      const entry = JSON.parse(await fs.readFile(file, "utf8"));
+      if (entry.key === key && entry.expiresAt > Date.now()) return entry.value;
+      await fs.rm(file, { force: true });
+    } catch (error) {
+      if (error.code !== "ENOENT") Logger.warn("Cache read failed", { key, error: error.message });
+    }
+    return undefined;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const file = this.fileFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ key, expiresAt: Date.now() + ttlSeconds * 1000, value }));
+    await fs.rename(tmpPath, file);
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+}
+
+const backend = config.cache.backend === "file"
+  ? new FileCacheBackend(config.cache.dir)
+  : new MemoryLRUBackend(config.cache.maxEntries);
+
+const stats = {};
+
+export class CacheService {
+  static hash(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+  }
+
+  static imageKey(imageUrl) {
+    const match = imageUrl.match(/^data:[^;,]*;base64,(.*)$/s);
+    return match ? `bytes:${this.hash(Buffer.from(match[1], "base64"))}` : `url:${this.hash(imageUrl)}`;
+  }
+
+  static productKey(productData) {
+    const barcode = BarcodeService.parse(productData.barcode_or_upc);
+    if (barcode.valid) return `barcode:${barcode.gtin}`;
+
+    const brand = productData.brand?.toString().trim().toLowerCase() || "";
+    const name = productData.product_name?.toString().trim().toLowerCase() || "";
+    return name ? `name:${brand}|${name}`.replace(/\s+/g, " ") : null;
+  }
+
+  static outcome(value, mode) {
+    if (mode !== "default") return mode;
+    return value === undefined ? "miss" : "hit";
+  }
+
+  static modeFromRequest(req) {
+    const explicit = (req.query?.cache || req.body?.cache || req.get?.("x-cache-mode") || "").toString().toLowerCase();
+    if (CACHE_MODES.includes(explicit)) return explicit;
+
+    const directives = (req.get?.("cache-control") || "").toLowerCase();
+    if (directives.includes("no-store")) return "bypass";
+    if (directives.includes("no-cache") || /max-age=0\b/.test(directives)) return "refresh";
+    return "default";
+  }
+
+  static record(layer, outcome) {
+    stats[layer] = stats[layer] || { hit: 0, miss: 0, refresh: 0, bypass: 0 };
+    stats[layer][outcome]++;
+  }
+
+  static stats() {
+    return JSON.parse(JSON.stringify(stats));
+  }
+
+  static async get(layer, key, mode = "default") {
+    if (!key || mode !== "default") {
+      this.record(layer, this.outcome(undefined, mode));
+      return undefined;
+    }
+    try {
+      const value = await backend.get(`${layer}:${key}`);
+      this.record(layer, this.outcome(value, mode));
+      return value;
+    } catch (error) {
+      Logger.warn("Cache get failed", { layer, error: error.message });
+      this.record(layer, "miss");
+      return undefined;
+    }
+  }
+
+  static async set(layer, key, value, mode = "default") {
+    if (!key || mode === "bypass" || value === undefined || value === null) return;
+    try {
+      await backend.set(`${layer}:${key}`, value, config.cache.ttlSeconds[layer]);
+    } catch (error) {
+      Logger.warn("Cache set failed", { layer, error: error.message });
+    }
+  }
+
+  static async wrap(layer, key, mode, fn) {
+    const cached = await this.get(layer, key, mode);
+    if (cached !== undefined) return cached;
+    const value = await fn();
+    await this.set(layer, key, value, mode);
+    return value;
+  }
+}
@@ -0,0 +1,164 @@
+import { AnalysisPipelineService } from "./pipeline.js";
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+import { TestosteroneScoreService } from "./scoring.js";
+import { SchemaValidationError } from "./validation.js";
+import { NutritionLabelService } from "./nutritionLabel.js";
+import { Logger } from "./logger.js";
+
+export const COMPARE_LIMITS = { min: 2, max: 5 };
+
+// null preference = shown in the table without picking a winner
+export const COMPARED_NUTRIENTS = [
+  { field: "calories", unit: "kcal", prefer: "lower" },
+  { field: "protein", unit: "g", prefer: "higher" },
+  { field: "total_fat", unit: "g", prefer: null },
+  { field: "saturated_fat", unit: "g", prefer: "lower" },
+  { field: "trans_fat", unit: "g", prefer: "lower" },
+  { field: "cholesterol", unit: "mg", prefer: "lower" },
+  { field: "sodium", unit: "mg", prefer: "lower" },
+  { field: "total_carbohydrate", unit: "g", prefer: null },
+  { field: "dietary_fiber", unit: "g", prefer: "higher" },
+  { field: "total_sugars", unit: "g", prefer: "lower" },
+  { field: "added_sugars", unit: "g", prefer: "lower" }
+];
+
+function toNumber(value) {
+  const num = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : 0;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export class ProductComparisonService {
+  // Label values are per serving; without a serving size they are assumed to cover the whole package
+  static normalize(result) {
+    const facts = result.nutrition_facts || {};
+    const { unit, servingAmount, packageAmount } = NutritionLabelService.quantities(result);
+    const basis = servingAmount ? "per_serving" : packageAmount ? "per_package" : "unknown";
+    const amount = servingAmount || packageAmount;
+
+    return {
+      basis,
+      basis_unit: unit,
+      serving_size: servingAmount,
+      net_weight: packageAmount,
+      servings_per_package: servingAmount && packageAmount ? round(packageAmount / servingAmount) : null,
+      per_100: amount
+        ? Object.fromEntries(COMPARED_NUTRIENTS.map(({ field }) => [field, round((toNumber(facts[field]) * 100) / amount, 2)]))
+        : null
+    };
+  }
+
+  static summarize(index, image, result) {
+    const disruptors = IngredientTaxonomyService.match(result.ingredients || []);
+    const score = result.t_score_impact?.score_perc
+      ?? TestosteroneScoreService.score({ nutritionFacts: result.nutrition_facts, disruptors }).score;
+
+    return {
+      index,
+      status: "succeeded",
+      imageSource: image.source,
+      product_name: result.product_info?.product_name || "Unknown",
+      brand: result.product_info?.brand || "Unknown",
+      barcode: result.product_info?.barcode_or_upc || null,
+      ...this.normalize(result),
+      t_score_impact: { ...result.t_score_impact, score_perc: score },
+      disruptors: disruptors.map(d => ({ name: d.name, category: d.category, severity: d.severity }))
+    };
+  }
+
+  static nutrientTable(items) {
+    // Per-100 g and per-100 ml values are not comparable; the more common basis decides
+    const normalized = items.filter(item => item.per_100);
+    const grams = normalized.filter(item => item.basis_unit === "g");
+    const comparable = grams.length * 2 >= normalized.length ? grams : normalized.filter(item => item.basis_unit === "ml");
+    return COMPARED_NUTRIENTS.map(({ field, unit, prefer }) => {
+      const values = items.map(item => ({ index: item.index, value: item.per_100 ? item.per_100[field] : null }));
+      let winners = [];
+      if (prefer && comparable.length >= 2) {
+        const known = comparable.map(item => item.per_100[field]);
+        const best = prefer === "lower" ? Math.min(...known) : Math.max(...known);
+        // A nutrient everyone has the same amount of has no winner
+        if (known.some(value => value !== best)) {
+          winners = comparable.filter(item => item.per_100[field] === best).map(item => item.index);
+        }
+      }
+      return { nutrient: field, unit, basis: "per_100", prefer, values, winners };
+    });
+  }
+
+  static disruptorDiff(items) {
+    const names = items.map(item => new Set(item.disruptors.map(d => d.name)));
+    const shared = names.length > 0 ? [...names[0]].filter(name => names.every(set => set.has(name))) : [];
+    return {
+      shared,
+      unique: items.map((item, i) => ({ index: item.index, disruptors: [...names[i]].filter(name => !shared.includes(name)) })),
+      counts: items.map(item => ({ index: item.index, count: item.disruptors.length }))
+    };
+  }
+
+  static verdict(items, table) {
+    if (items.length < 2) return null;
+
+    const wins = new Map(items.map(item => [item.index, 0]));
+    for (const row of table) {
+      for (const index of row.winners) wins.set(index, wins.get(index) + 1);
+    }
+
+    // Testosterone score decides; disruptor count, then nutrient wins, break ties
+    const ranking = items
+      .map(item => ({
+        index: item.index,
+        product_name: item.product_name,
+        brand: item.brand,
+        score: item.t_score_impact.score_perc,
+        label: item.t_score_impact.label || TestosteroneScoreService.categorize(item.t_score_impact.score_perc).label,
+        disruptor_count: item.disruptors.length,
+        nutrient_wins: wins.get(item.index)
+      }))
+      .sort((a, b) => b.score - a.score || a.disruptor_count - b.disruptor_count || b.nutrient_wins - a.nutrient_wins)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+    const [best, runnerUp] = ranking;
+    const tied = best.score === runnerUp.score && best.disruptor_count === runnerUp.disruptor_count && best.nutrient_wins === runnerUp.nutrient_wins;
+    return {
+      best: tied ? null : best.index,
+      ranking,
+      summary: tied
+        ? `${best.product_name} and ${runnerUp.product_name} are tied at a score of ${best.score}`
+        : `${best.product_name} ranks first with a score of ${best.score} vs ${runnerUp.score} for ${runnerUp.product_name}`
+    };
+  }
+
+  static async compare(images, options = {}) {
+    const { cacheMode = "default" } = options;
+
+    const outcomes = await Promise.all(images.map(async (image, index) => {
+      try {
+        const result = await AnalysisPipelineService.run(image.imageUrl, { imageSource: image.source, cacheMode });
+        return this.summarize(index, image, result);
+      } catch (error) {
+        Logger.warn("Comparison item failed", { index, error: error.message });
+        return {
+          index,
+          status: "failed",
+          imageSource: image.source,
+          error: error instanceof SchemaValidationError ? "invalid_model_output" : "analysis_failed",
+          message: error.message
+        };
+      }
+    }));
+
+    const succeeded = outcomes.filter(item => item.status === "succeeded");
+    const table = this.nutrientTable(succeeded);
+    return {
+      items: outcomes,
+      nutrients: table,
+      disruptors: this.disruptorDiff(succeeded),
+      verdict: this.verdict(succeeded, table)
+    };
+  }
+}
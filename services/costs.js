@@ -0,0 +1,288 @@
+import fs from "fs/promises";
+import { readFileSync } from "fs";
+import path from "path";
+import config from "../config.js";
+import { RequestContext } from "./requestContext.js";
+import { Logger } from "./logger.js";
+
+const STORE_VERSION = 1;
+const DAY_MS = 24 * 3600 * 1000;
+
+function mergeDeep(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const plain = value && typeof value === "object" && !Array.isArray(value);
+    merged[key] = plain && base?.[key] && typeof base[key] === "object" ? mergeDeep(base[key], value) : value;
+  }
+  return merged;
+}
+
+// An operator table only needs the entries it changes; everything else keeps the bundled price
+const prices = mergeDeep(
+  JSON.parse(readFileSync(new URL("./data/prices.json", import.meta.url), "utf8")),
+  config.costs.pricesPath ? JSON.parse(readFileSync(config.costs.pricesPath, "utf8")) : {}
+);
+
+const modelKeys = Object.keys(prices.llm.models).sort((a, b) => b.length - a.length);
+
+let storePromise = null;
+let saveChain = Promise.resolve();
+
+function round(value, places = 6) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    cost_usd: 0,
+    llm_cost_usd: 0,
+    search_cost_usd: 0,
+    scrape_cost_usd: 0,
+    llm_calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    cached_tokens: 0,
+    image_tokens_estimate: 0,
+    search_queries: 0,
+    scrape_fetches: 0,
+    scrape_bytes: 0,
+    models: {},
+    search_providers: {}
+  };
+}
+
+function addTotals(target, source) {
+  for (const [field, value] of Object.entries(source)) {
+    if (typeof value === "number") {
+      target[field] = round((target[field] || 0) + value);
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      target[field] = addTotals(target[field] || {}, value);
+    }
+  }
+  return target;
+}
+
+function imageDimensions(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "GIF") {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = buffer.toString("ascii", 12, 16);
+    if (chunk === "VP8 ") return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (chunk === "VP8L") {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X") return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the start-of-frame marker that carries the size
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+export class CostLedger {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.totals = emptyTotals();
+    this.entries = 0;
+  }
+
+  add(totals) {
+    addTotals(this.totals, totals);
+    this.entries++;
+    this.parent?.add(totals);
+  }
+
+  isEmpty() {
+    return this.entries === 0;
+  }
+
+  summary() {
+    const { requests, ...totals } = this.totals;
+    return { currency: prices.currency, ...totals };
+  }
+}
+
+export class CostService {
+  static get prices() {
+    return prices;
+  }
+
+  // Dated snapshots ("gpt-4o-mini-2024-07-18") share the price of their family
+  static priceFor(model) {
+    const name = (model || "").toLowerCase();
+    const key = modelKeys.find(candidate => name === candidate || name.startsWith(`${candidate}-`));
+    return key ? { key, ...prices.llm.models[key] } : null;
+  }
+
+  // OpenAI's tile formula: fit in 2048x2048, shortest side down to 768, then 512 px tiles
+  static estimateImageTokens(part, model) {
+    const { base, tile, defaultTiles } = { ...prices.llm.image, ...this.priceFor(model)?.image };
+    if (part.image_url?.detail === "low") return base;
+
+    const url = part.image_url?.url || "";
+    const match = url.match(/^data:[^;,]*;base64,(.*)$/s);
+    const size = match ? imageDimensions(Buffer.from(match[1], "base64")) : null;
+    if (!size || !size.width || !size.height) return base + tile * defaultTiles;
+
+    let { width, height } = size;
+    const fit = Math.min(1, 2048 / Math.max(width, height));
+    width *= fit;
+    height *= fit;
+    const shrink = Math.min(1, 768 / Math.min(width, height));
+    return base + tile * Math.ceil((width * shrink) / 512) * Math.ceil((height * shrink) / 512);
+  }
+
+  static current() {
+    return RequestContext.get()?.costs || null;
+  }
+
+  static recordLlm({ model, usage, messages = [] }) {
+    const ledger = this.current();
+    if (!ledger) return;
+
+    const price = this.priceFor(model);
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const cachedTokens = usage?.prompt_tokens_details?.cached_tokens || 0;
+    const imageTokens = messages
+      .flatMap(message => (Array.isArray(message.content) ? message.content : []))
+      .filter(part => part.type === "image_url")
+      .reduce((sum, part) => sum + this.estimateImageTokens(part, model), 0);
+    const cost = price
+      ? ((promptTokens - cachedTokens) * price.input + cachedTokens * (price.cachedInput ?? price.input) + completionTokens * price.output) / 1e6
+      : 0;
+    if (!price) Logger.warn("No price for model; its calls are counted at $0", { model });
+
+    const name = model || "unknown";
+    ledger.add({
+      cost_usd: cost,
+      llm_cost_usd: cost,
+      llm_calls: 1,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      cached_tokens: cachedTokens,
+      image_tokens_estimate: imageTokens,
+      models: { [name]: { calls: 1, prompt_tokens: promptTokens, completion_tokens: completionTokens, cost_usd: cost, ...(price ? {} : { unpriced: 1 }) } }
+    });
+  }
+
+  static recordSearch(provider) {
+    const ledger = this.current();
+    if (!ledger) return;
+    const cost = prices.search.providers[provider] ?? 0;
+    ledger.add({ cost_usd: cost, search_cost_usd: cost, search_queries: 1, search_providers: { [provider]: { queries: 1, cost_usd: cost } } });
+  }
+
+  static recordScrape(bytes = 0) {
+    const ledger = this.current();
+    if (!ledger) return;
+    const cost = prices.scrape.fetch || 0;
+    ledger.add({ cost_usd: cost, scrape_cost_usd: cost, scrape_fetches: 1, scrape_bytes: bytes });
+  }
+
+  static ledger(parent = null) {
+    return new CostLedger(parent);
+  }
+
+  // Runs fn with its own ledger (still rolling up into the request's) and returns what it spent
+  static async track(fn) {
+    const context = RequestContext.get() || {};
+    const ledger = new CostLedger(context.costs || null);
+    const result = await RequestContext.run({ ...context, costs: ledger }, fn);
+    return { result, costs: ledger.summary() };
+  }
+
+  static async load() {
+    if (!storePromise) {
+      storePromise = (async () => {
+        const days = new Map();
+        try {
+          const data = JSON.parse(await fs.readFile(config.costs.dbPath, "utf8"));
+          for (const [date, day] of Object.entries(data.days || {})) days.set(date, day);
+        } catch (error) {
+          if (error.code !== "ENOENT") Logger.warn("Failed to load cost store", { error: error.message });
+        }
+        return days;
+      })();
+    }
+    return storePromise;
+  }
+
+  static save() {
+    saveChain = saveChain.catch(() => {}).then(async () => {
+      const days = await this.load();
+      await fs.mkdir(path.dirname(config.costs.dbPath), { recursive: true });
+      const tmpPath = `${config.costs.dbPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ version: STORE_VERSION, currency: prices.currency, days: Object.fromEntries(days) }));
+      await fs.rename(tmpPath, config.costs.dbPath);
+    });
+    return saveChain;
+  }
+
+  static async record(ledger, { endpoint, apiKeyId = null, at = Date.now() }) {
+    if (!ledger || ledger.isEmpty()) return;
+    const days = await this.load();
+    const date = new Date(at).toISOString().slice(0, 10);
+    const day = days.get(date) || { endpoints: {}, clients: {} };
+    const totals = { ...ledger.totals, requests: 1 };
+    day.endpoints[endpoint] = addTotals(day.endpoints[endpoint] || emptyTotals(), totals);
+    const client = apiKeyId || "anonymous";
+    day.clients[client] = addTotals(day.clients[client] || emptyTotals(), totals);
+    days.set(date, day);
+    await this.save();
+  }
+
+  static async report({ from, to, apiKeyId = null } = {}) {
+    const end = to || new Date().toISOString().slice(0, 10);
+    const start = from || new Date(Date.parse(`${end}T00:00:00Z`) - (config.costs.reportDays - 1) * DAY_MS).toISOString().slice(0, 10);
+
+    const days = await this.load();
+    const total = emptyTotals();
+    const byEndpoint = new Map();
+    const byClient = new Map();
+    const byDay = [];
+
+    for (const date of [...days.keys()].sort()) {
+      if (date < start || date > end) continue;
+      const { endpoints, clients } = days.get(date);
+      // Endpoint totals cannot be split per client, so a client filter reports the client's own totals only
+      if (apiKeyId && !clients[apiKeyId]) continue;
+      const dayTotals = apiKeyId ? addTotals(emptyTotals(), clients[apiKeyId]) : Object.values(endpoints).reduce(addTotals, emptyTotals());
+      byDay.push({ date, ...dayTotals });
+      addTotals(total, dayTotals);
+      if (!apiKeyId) {
+        for (const [endpoint, totals] of Object.entries(endpoints)) byEndpoint.set(endpoint, addTotals(byEndpoint.get(endpoint) || emptyTotals(), totals));
+      }
+      for (const [client, totals] of Object.entries(clients)) {
+        if (!apiKeyId || client === apiKeyId) byClient.set(client, addTotals(byClient.get(client) || emptyTotals(), totals));
+      }
+    }
+
+    const ranked = (map, key) => [...map.entries()].map(([name, totals]) => ({ [key]: name, ...totals })).sort((a, b) => b.cost_usd - a.cost_usd);
+    return {
+      currency: prices.currency,
+      pricesUpdated: prices.updated,
+      from: start,
+      to: end,
+      total,
+      byDay,
+      byEndpoint: apiKeyId ? null : ranked(byEndpoint, "endpoint"),
+      byClient: ranked(byClient, "client")
+    };
+  }
+}
@@ -0,0 +1,199 @@
+import config from "../config.js";
+import { OpenAIService } from "./openai.js";
+import { SearchService } from "./search.js";
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+import { Utils } from "./utils.js";
+import { ALLERGEN_SCHEMA, INGREDIENT_DETAILS_SCHEMA } from "./schemas.js";
+import { Logger } from "./logger.js";
+
+export const ENRICHMENT_STAGES = ["dietary", "allergens", "ingredients"];
+
+const MEAT_AND_FISH = [
+  "meat", "beef", "veal", "pork", "bacon", "ham", "lard", "tallow", "chicken", "turkey", "duck", "lamb", "mutton",
+  "sausage", "pepperoni", "gelatin", "gelatine", "fish", "fish oil", "fish sauce", "anchovy", "anchovies", "tuna",
+  "salmon", "sardine", "sardines", "shrimp", "prawn", "prawns", "crab", "lobster", "oyster", "shellfish", "isinglass",
+  "rennet", "carmine", "cochineal", "e120", "e441"
+];
+const DAIRY = [
+  "milk", "milk powder", "milk solids", "skim milk", "whole milk", "whey", "casein", "caseinate", "sodium caseinate",
+  "butter", "butterfat", "buttermilk", "cream", "cheese", "lactose", "yogurt", "yoghurt", "ghee", "curd", "kefir",
+  "lactalbumin", "lactoglobulin", "milkfat", "milk fat"
+];
+const EGG = ["egg", "eggs", "egg white", "egg yolk", "albumen", "mayonnaise", "lysozyme", "e1105"];
+const OTHER_ANIMAL = ["honey", "beeswax", "shellac", "e901", "e904", "lanolin"];
+const GLUTEN = [
+  "wheat", "wheat flour", "barley", "rye", "malt", "malt extract", "malted barley", "spelt", "triticale", "semolina",
+  "durum", "farina", "couscous", "bulgur", "seitan", "kamut", "einkorn", "emmer", "graham", "gluten"
+];
+// Phrases that contain a trigger word but are plant-based or gluten-free
+const EXCEPTIONS = [
+  "coconut milk", "almond milk", "oat milk", "soy milk", "soya milk", "rice milk", "cashew milk", "cocoa butter",
+  "peanut butter", "shea butter", "nut butter", "almond butter", "cream of tartar", "buckwheat", "gluten-free",
+  "gluten free", "milk thistle", "butternut", "eggplant", "vegan cheese", "dairy-free", "dairy free"
+];
+const ALLERGEN_FLAGS = [
+  { pattern: /milk|dairy|lactose/i, flags: ["dairy_free", "vegan"] },
+  { pattern: /egg/i, flags: ["vegan"] },
+  { pattern: /fish|shellfish|crustacean|mollus/i, flags: ["vegetarian", "vegan"] },
+  { pattern: /wheat|gluten|barley|rye/i, flags: ["gluten_free"] }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function listPattern(phrases) {
+  return new RegExp(`(?<![a-z0-9])(${[...phrases].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})(?![a-z0-9])`, "i");
+}
+
+const patterns = {
+  meat: listPattern(MEAT_AND_FISH),
+  dairy: listPattern(DAIRY),
+  egg: listPattern(EGG),
+  otherAnimal: listPattern(OTHER_ANIMAL),
+  gluten: listPattern(GLUTEN),
+  exceptions: new RegExp(listPattern(EXCEPTIONS).source, "gi")
+};
+
+function ingredientNames(ingredients = []) {
+  return ingredients
+    .map(item => (typeof item === "string" ? item : item?.text || item?.name || ""))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+export class EnrichmentService {
+  static dietaryFlags(ingredients, allergens = []) {
+    const names = ingredientNames(ingredients);
+    if (names.length === 0) {
+      return { vegetarian: null, vegan: null, gluten_free: null, dairy_free: null, reasons: {}, basis: "none" };
+    }
+
+    const reasons = { vegetarian: [], vegan: [], gluten_free: [], dairy_free: [] };
+    for (const name of names) {
+      const text = IngredientTaxonomyService.normalize(name).replace(patterns.exceptions, " ");
+      if (patterns.meat.test(text)) reasons.vegetarian.push(name);
+      if (patterns.meat.test(text) || patterns.dairy.test(text) || patterns.egg.test(text) || patterns.otherAnimal.test(text)) reasons.vegan.push(name);
+      if (patterns.dairy.test(text)) reasons.dairy_free.push(name);
+      if (patterns.gluten.test(text)) reasons.gluten_free.push(name);
+    }
+
+    // Declared allergens ("contains milk") override an ingredient list that hides them behind generic names
+    const declared = [...new Map(ingredientNames(allergens).map(name => [name.toLowerCase(), name])).values()];
+    for (const allergen of declared) {
+      for (const rule of ALLERGEN_FLAGS) {
+        if (!rule.pattern.test(allergen)) continue;
+        for (const flag of rule.flags) {
+          if (!reasons[flag].includes(`allergen: ${allergen}`)) reasons[flag].push(`allergen: ${allergen}`);
+        }
+      }
+    }
+
+    return {
+      vegetarian: reasons.vegetarian.length === 0,
+      vegan: reasons.vegan.length === 0,
+      gluten_free: reasons.gluten_free.length === 0,
+      dairy_free: reasons.dairy_free.length === 0,
+      reasons: Object.fromEntries(Object.entries(reasons).filter(([, list]) => list.length > 0)),
+      basis: "ingredients"
+    };
+  }
+
+  static async searchSnippets(query, count, cacheMode) {
+    try {
+      const results = await SearchService.search(query, count, { cacheMode });
+      return Utils.formatSearchResultsForLLM(results, count);
+    } catch (error) {
+      Logger.warn("Enrichment search failed", { query, error: error.message });
+      return "";
+    }
+  }
+
+  static async allergens(result, options = {}) {
+    const { cacheMode = "default" } = options;
+    const productName = [result.product_info?.brand, result.product_info?.product_name].filter(name => name && name !== "Unknown").join(" ");
+    const ingredients = ingredientNames(result.ingredients);
+    const snippets = productName ? await this.searchSnippets(`${productName} allergens contains may contain`, 5, cacheMode) : "";
+
+    const { value } = await OpenAIService.createJsonCompletion([
+      { role: "system", content: "You are a food safety expert. Identify allergens in a food product from its ingredients and web search results." },
+      {
+        role: "user",
+        content: `Product: ${productName || "Unknown"}
+Ingredients: ${ingredients.join(", ") || "Unknown"}
+Declared allergens: ${ingredientNames(result.allergens).join(", ") || "None listed"}
+
+Web search results:
+${snippets || "None"}
+
+Check for the major allergens: milk, eggs, fish, crustacean shellfish, tree nuts, peanuts, wheat/gluten, soy, sesame, mustard, celery, lupin, molluscs and sulphites.
+Risk levels: "High" when the allergen is an ingredient, "Medium" for "may contain" or shared-facility warnings, "Low" for plausible cross-contact with no warning.
+Return {"allergens": [{"allergen": string, "risk": "High"|"Medium"|"Low", "description": string}]}; use an empty array if none apply.`
+      }
+    ], ALLERGEN_SCHEMA, { schemaName: "allergens", temperature: 0.1, max_tokens: 1000 });
+
+    return value.allergens;
+  }
+
+  static async ingredientDetails(result, options = {}) {
+    const { cacheMode = "default" } = options;
+    const ingredients = ingredientNames(result.ingredients).slice(0, config.enrichment.maxIngredients);
+    if (ingredients.length === 0) return [];
+
+    const snippets = await Utils.mapWithConcurrency(ingredients, 2, async (ingredient) =>
+      `### ${ingredient}\n${await this.searchSnippets(`"${ingredient}" food ingredient what is it`, 3, cacheMode) || "No search results"}`
+    );
+
+    const { value } = await OpenAIService.createJsonCompletion([
+      { role: "system", content: "You are a food scientist. Explain food ingredients accurately and concisely using the search results provided." },
+      {
+        role: "user",
+        content: `Describe each of these ingredients: ${ingredients.join(", ")}
+
+${snippets.join("\n\n")}
+
+For each ingredient return its functional role (e.g. sweetener, emulsifier, thickener, fat, flavouring), origin, a one-sentence description, any notable health considerations, and its likely effect on testosterone.
+Return {"ingredients": [{"name": string, "role": string, "origin": "plant"|"animal"|"mineral"|"synthetic"|"fermentation"|"unknown", "description": string, "health_notes": string, "testosterone_impact": "positive"|"neutral"|"negative"}]} in the same order.`
+      }
+    ], INGREDIENT_DETAILS_SCHEMA, { schemaName: "ingredient_details", temperature: 0.1, max_tokens: 1500 });
+
+    return value.ingredients;
+  }
+
+  static async run(result, options = {}) {
+    const { stages = config.enrichment.stages, cacheMode = "default", onEvent = () => {} } = options;
+    const enabled = stages.filter(stage => ENRICHMENT_STAGES.includes(stage));
+    if (enabled.length === 0) return null;
+
+    const enrichment = { stages: enabled, errors: {} };
+
+    // Allergens run first so the dietary flags can use them
+    if (enabled.includes("allergens")) {
+      try {
+        enrichment.allergens = await this.allergens(result, { cacheMode });
+        onEvent("enrichment", { stage: "allergens", count: enrichment.allergens.length });
+      } catch (error) {
+        Logger.warn("Allergen enrichment failed", { error: error.message });
+        enrichment.errors.allergens = error.message;
+      }
+    }
+
+    if (enabled.includes("ingredients")) {
+      try {
+        enrichment.ingredients = await this.ingredientDetails(result, { cacheMode });
+        onEvent("enrichment", { stage: "ingredients", count: enrichment.ingredients.length });
+      } catch (error) {
+        Logger.warn("Ingredient enrichment failed", { error: error.message });
+        enrichment.errors.ingredients = error.message;
+      }
+    }
+
+    if (enabled.includes("dietary")) {
+      const allergens = [...ingredientNames(result.allergens), ...(enrichment.allergens || []).filter(a => a.risk === "High").map(a => a.allergen)];
+      enrichment.dietary = this.dietaryFlags(result.ingredients, allergens);
+      onEvent("enrichment", { stage: "dietary", ...enrichment.dietary });
+    }
+
+    return enrichment;
+  }
+}
@@ -0,0 +1,233 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import config from "../config.js";
+import { SchemaValidator } from "./validation.js";
+import { CONSUMPTION_SCHEMA } from "./schemas.js";
+import { ProductSummaryService } from "./productSummary.js";
+import { Logger } from "./logger.js";
+
+const STORE_VERSION = 1;
+const USER_ID_PATTERN = /^[\w.@:-]{1,128}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 3600 * 1000;
+const INTAKE_FIELDS = ["calories", "protein", "total_fat", "saturated_fat", "total_carbohydrate", "dietary_fiber", "total_sugars", "added_sugars", "sodium"];
+export const INTAKE_PERIODS = ["day", "week"];
+
+let storePromise = null;
+let saveChain = Promise.resolve();
+
+export class HistoryError extends Error {
+  constructor(code, message, status = 400, details = {}) {
+    super(message);
+    this.name = "HistoryError";
+    this.code = code;
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(INTAKE_FIELDS.map(field => [field, 0]));
+}
+
+function roundTotals(totals) {
+  return Object.fromEntries(Object.entries(totals).map(([field, value]) => [field, round(value)]));
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export class HistoryStore {
+  static async load() {
+    if (!storePromise) {
+      storePromise = (async () => {
+        const users = new Map();
+        try {
+          const data = JSON.parse(await fs.readFile(config.history.dbPath, "utf8"));
+          for (const [userId, scans] of Object.entries(data.users || {})) users.set(userId, scans.map(scan => ({ ...scan, summary: ProductSummaryService.of(scan) })));
+        } catch (error) {
+          if (error.code !== "ENOENT") Logger.warn("Failed to load history store", { error: error.message });
+        }
+        return users;
+      })();
+    }
+    return storePromise;
+  }
+
+  static save() {
+    saveChain = saveChain.catch(() => {}).then(async () => {
+      const users = await this.load();
+      await fs.mkdir(path.dirname(config.history.dbPath), { recursive: true });
+      const tmpPath = `${config.history.dbPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ version: STORE_VERSION, users: Object.fromEntries(users) }));
+      await fs.rename(tmpPath, config.history.dbPath);
+    });
+    return saveChain;
+  }
+
+  static validUserId(userId) {
+    return typeof userId === "string" && USER_ID_PATTERN.test(userId);
+  }
+
+  // userId is chosen by the client, so each API key gets its own set of users
+  static storeKey(userId, apiKeyId = null) {
+    return apiKeyId ? `${apiKeyId}/${userId}` : userId;
+  }
+
+  static async scansFor(userId, apiKeyId = null) {
+    return (await this.load()).get(this.storeKey(userId, apiKeyId)) || [];
+  }
+
+  static dayKey(timestamp, timeZone) {
+    return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date(timestamp));
+  }
+
+  // Keeps what the diary needs; debug output and scraped sources stay out of the store
+  static snapshot(result) {
+    const facts = result.nutrition_facts || {};
+    return {
+      product_info: result.product_info || {},
+      nutrition_facts: { serving_size: facts.serving_size ?? null, ...Object.fromEntries(INTAKE_FIELDS.map(field => [field, facts[field] || 0])) },
+      ingredients: result.ingredients || [],
+      allergens: result.allergens || [],
+      t_score_impact: result.t_score_impact || null,
+      summary: ProductSummaryService.summarize(result)
+    };
+  }
+
+  static async record(userId, result, apiKeyId = null) {
+    const users = await this.load();
+    const key = this.storeKey(userId, apiKeyId);
+    const scan = {
+      id: crypto.randomUUID(),
+      userId,
+      apiKeyId,
+      scannedAt: new Date().toISOString(),
+      ...this.snapshot(result),
+      consumption: []
+    };
+    if (!users.has(key)) users.set(key, []);
+    users.get(key).push(scan);
+    await this.save();
+    return scan;
+  }
+
+  static async attach(userId, result, apiKeyId = null) {
+    if (!userId) return result;
+    const scan = await this.record(userId, result, apiKeyId);
+    return { ...result, history: { userId, scanId: scan.id } };
+  }
+
+  static async list(userId, options = {}) {
+    const { limit = config.history.pageSize, offset = 0, apiKeyId = null } = options;
+    const scans = await this.scansFor(userId, apiKeyId);
+    const newestFirst = [...scans].reverse();
+    const items = newestFirst.slice(offset, offset + limit);
+    return {
+      userId,
+      total: scans.length,
+      limit,
+      offset,
+      nextOffset: offset + items.length < scans.length ? offset + items.length : null,
+      items
+    };
+  }
+
+  static async get(userId, scanId, apiKeyId = null) {
+    const scans = await this.scansFor(userId, apiKeyId);
+    return scans.find(scan => scan.id === scanId) || null;
+  }
+
+  static async logConsumption(userId, scanId, input, apiKeyId = null) {
+    const scan = await this.get(userId, scanId, apiKeyId);
+    if (!scan) throw new HistoryError("scan_not_found", `No scan ${scanId} for user ${userId}`, 404);
+
+    const { value, errors } = SchemaValidator.coerce(input || {}, CONSUMPTION_SCHEMA);
+    if (value.servings === 0) errors.push("$.servings: must be greater than 0");
+    const consumedAt = value.consumedAt ? new Date(value.consumedAt) : new Date();
+    if (Number.isNaN(consumedAt.getTime())) errors.push(`$.consumedAt: must be an ISO 8601 timestamp, got ${JSON.stringify(value.consumedAt)}`);
+    if (errors.length > 0) throw new HistoryError("invalid_consumption", "Consumption entry does not match the expected shape", 400, { validationErrors: errors });
+
+    const entry = { id: crypto.randomUUID(), servings: value.servings, consumedAt: consumedAt.toISOString(), loggedAt: new Date().toISOString() };
+    scan.consumption.push(entry);
+    await this.save();
+    return { entry, scan };
+  }
+
+  static eaten(scans) {
+    return scans.flatMap(scan => scan.consumption.map(entry => ({ scan, entry })));
+  }
+
+  static async intake(userId, options = {}) {
+    const { period = "day", timeZone = "UTC", windowDays = config.history.scoreWindowDays, apiKeyId = null } = options;
+    if (!INTAKE_PERIODS.includes(period)) {
+      throw new HistoryError("invalid_period", `period must be one of ${INTAKE_PERIODS.join(", ")}`);
+    }
+    try {
+      this.dayKey(Date.now(), timeZone);
+    } catch {
+      throw new HistoryError("invalid_time_zone", `Unknown time zone ${timeZone}`);
+    }
+    const date = options.date || this.dayKey(Date.now(), timeZone);
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+      throw new HistoryError("invalid_date", "date must be formatted YYYY-MM-DD");
+    }
+
+    // Weeks run Monday to Sunday around the requested date
+    const start = period === "week" ? addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7)) : date;
+    const dayCount = period === "week" ? 7 : 1;
+    const days = Array.from({ length: dayCount }, (_, i) => ({ date: addDays(start, i), servings: 0, totals: emptyTotals() }));
+    const byDate = new Map(days.map(day => [day.date, day]));
+    const end = days[days.length - 1].date;
+    const windowStart = addDays(end, -(windowDays - 1));
+
+    const totals = emptyTotals();
+    let servings = 0;
+    let scoreWeight = 0;
+    let scoreSum = 0;
+    for (const { scan, entry } of this.eaten(await this.scansFor(userId, apiKeyId))) {
+      const key = this.dayKey(entry.consumedAt, timeZone);
+      const day = byDate.get(key);
+      if (day) {
+        for (const field of INTAKE_FIELDS) {
+          const amount = (scan.nutrition_facts[field] || 0) * entry.servings;
+          day.totals[field] += amount;
+          totals[field] += amount;
+        }
+        day.servings += entry.servings;
+        servings += entry.servings;
+      }
+
+      const score = scan.t_score_impact?.score_perc;
+      if (typeof score === "number" && key >= windowStart && key <= end) {
+        scoreSum += score * entry.servings;
+        scoreWeight += entry.servings;
+      }
+    }
+
+    return {
+      userId,
+      period,
+      timeZone,
+      start,
+      end,
+      servings: round(servings, 2),
+      totals: roundTotals(totals),
+      days: days.map(day => ({ ...day, servings: round(day.servings, 2), totals: roundTotals(day.totals) })),
+      t_score: {
+        average: scoreWeight > 0 ? round(scoreSum / scoreWeight) : null,
+        servings: round(scoreWeight, 2),
+        windowDays,
+        windowStart,
+        windowEnd: end
+      }
+    };
+  }
+}
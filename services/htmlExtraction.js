@@ -0,0 +1,295 @@
+import * as cheerio from "cheerio";
+import { UnitService } from "./units.js";
+
+const BOILERPLATE_SELECTORS = [
+  "script", "style", "noscript", "template", "iframe", "svg", "form",
+  "nav", "header", "footer", "aside", "[role='navigation']", "[role='banner']", "[role='contentinfo']",
+  "[aria-hidden='true']", "[hidden]",
+  "[id*='cookie' i]", "[class*='cookie' i]", "[id*='consent' i]", "[class*='consent' i]", "[class*='gdpr' i]",
+  "[class*='newsletter' i]", "[class*='breadcrumb' i]", "[class*='share' i]", "[class*='social' i]"
+].join(", ");
+
+const BLOCK_TAGS = "address, article, blockquote, br, dd, div, dl, dt, figcaption, h1, h2, h3, h4, h5, h6, li, main, p, pre, section, table, td, th, tr";
+
+// nutrition_facts field -> [target unit, schema.org NutritionInformation property, table label pattern]
+const NUTRIENT_FIELDS = {
+  calories: ["kcal", "calories", /^(calories|energy)\b/i],
+  total_fat: ["g", "fatContent", /^(total\s+)?fat\b/i],
+  saturated_fat: ["g", "saturatedFatContent", /^(of which\s+)?saturate[sd]/i],
+  trans_fat: ["g", "transFatContent", /^trans\b/i],
+  cholesterol: ["mg", "cholesterolContent", /^cholesterol\b/i],
+  sodium: ["mg", "sodiumContent", /^sodium\b/i],
+  total_carbohydrate: ["g", "carbohydrateContent", /^(total\s+)?carbohydrates?\b|^carbs\b/i],
+  dietary_fiber: ["g", "fiberContent", /^(dietary\s+)?fib(er|re)\b/i],
+  total_sugars: ["g", "sugarContent", /^(of which\s+|total\s+)?sugars?\b/i],
+  added_sugars: ["g", null, /^(incl(udes|\.)?\s+[\d.]+\s*g\s+)?added\s+sugars?\b/i],
+  protein: ["g", "proteinContent", /^protein\b/i],
+  vitamin_d: ["mcg", null, /^vitamin\s+d\b/i],
+  calcium: ["mg", null, /^calcium\b/i],
+  iron: ["mg", null, /^iron\b/i],
+  potassium: ["mg", null, /^potassium\b/i]
+};
+
+const UNIT_FACTORS = {
+  g: { g: 1, mg: 0.001, mcg: 0.000001 },
+  mg: { g: 1000, mg: 1, mcg: 0.001 },
+  mcg: { g: 1000000, mg: 1000, mcg: 1 }
+};
+
+function normalizeUnit(unit) {
+  const lower = (unit || "").toLowerCase();
+  if (/^(µg|μg|mcg|ug)$/.test(lower)) return "mcg";
+  if (/^(mg|milligrams?)$/.test(lower)) return "mg";
+  if (/^(g|gr|grams?)$/.test(lower)) return "g";
+  if (/^(kj|kilojoules?)$/.test(lower)) return "kj";
+  if (/^(kcal|cal|calories|kilocalories?)$/.test(lower)) return "kcal";
+  return lower;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function collapse(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasType(node, type) {
+  return asArray(node?.["@type"]).some(t => String(t).replace(/^.*[/#:]/, "") === type);
+}
+
+export class HtmlExtractionService {
+  // "12 g", "470mg", "1 046 kJ / 250 kcal" -> value in the field's target unit
+  static parseAmount(text, targetUnit) {
+    const amounts = [...collapse(String(text ?? "")).replace(/(\d)\s(?=\d{3}\b)/g, "$1").matchAll(/(<\s*)?(\d+(?:[.,]\d+)?)\s*(kcal|kj|cal(?:ories)?|mcg|µg|μg|ug|mg|g(?:rams?)?)?\b/gi)];
+    if (amounts.length === 0) return null;
+
+    const parsed = amounts.map(([, lessThan, num, unit]) => ({
+      value: lessThan ? 0 : parseFloat(num.replace(",", ".")),
+      unit: normalizeUnit(unit)
+    }));
+
+    if (targetUnit === "kcal") {
+      const kcal = parsed.find(a => a.unit === "kcal");
+      if (kcal) return round(kcal.value, 0);
+      const kj = parsed.find(a => a.unit === "kj");
+      return kj ? round(kj.value / 4.184, 0) : (parsed[0].unit ? null : parsed[0].value);
+    }
+
+    const { value, unit } = parsed.find(a => UNIT_FACTORS[targetUnit][a.unit]) || parsed[0];
+    const factor = unit ? UNIT_FACTORS[targetUnit][unit] : 1;
+    return factor ? round(value * factor, 3) : null;
+  }
+
+  static splitIngredients(text) {
+    if (Array.isArray(text)) return text.flatMap(item => this.splitIngredients(item));
+    const cleaned = collapse(String(text ?? "")).replace(/^ingredients?\s*[:\-–]?\s*/i, "");
+    if (!cleaned) return [];
+
+    const items = [];
+    let depth = 0;
+    let current = "";
+    for (const char of cleaned) {
+      if ("([{".includes(char)) depth++;
+      if (")]}".includes(char)) depth = Math.max(0, depth - 1);
+      if ((char === "," || char === ";") && depth === 0) {
+        items.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    items.push(current);
+    return items.map(item => item.replace(/[_*]/g, "").replace(/\.$/, "").trim()).filter(Boolean);
+  }
+
+  static jsonLdNodes($) {
+    const nodes = [];
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      nodes.push(node);
+      asArray(node["@graph"]).forEach(visit);
+    };
+
+    $("script[type='application/ld+json']").each((_, el) => {
+      try {
+        visit(JSON.parse($(el).contents().text()));
+      } catch {
+        // Malformed JSON-LD is common; skip the block rather than the page
+      }
+    });
+    return nodes;
+  }
+
+  static fromNutritionProperties(getProperty) {
+    const values = {};
+    for (const [field, [unit, property]] of Object.entries(NUTRIENT_FIELDS)) {
+      if (!property) continue;
+      const amount = this.parseAmount(getProperty(property), unit);
+      if (amount !== null) values[field] = amount;
+    }
+    if (Object.keys(values).length === 0) return null;
+    return { basis: "per_serving", serving_size: collapse(getProperty("servingSize")) || null, values };
+  }
+
+  static fromJsonLd($) {
+    const nodes = this.jsonLdNodes($);
+    const nutritionNode = nodes.find(node => hasType(node, "NutritionInformation"))
+      || nodes.map(node => asArray(node.nutrition)[0]).find(Boolean);
+    const ingredientsNode = nodes.find(node => node.ingredients || node.recipeIngredient);
+
+    return {
+      nutrition: nutritionNode ? this.fromNutritionProperties(property => asArray(nutritionNode[property])[0]) : null,
+      ingredients: ingredientsNode ? this.splitIngredients(ingredientsNode.ingredients || ingredientsNode.recipeIngredient) : []
+    };
+  }
+
+  static fromMicrodata($) {
+    const scope = $("[itemtype*='NutritionInformation']").first();
+    const readProperty = (root, property) => {
+      const el = root.find(`[itemprop='${property}']`).first();
+      return el.length ? el.attr("content") ?? el.text() : undefined;
+    };
+
+    const ingredientEls = $("[itemprop='ingredients'], [itemprop='recipeIngredient']");
+    return {
+      nutrition: scope.length ? this.fromNutritionProperties(property => readProperty(scope, property)) : null,
+      ingredients: ingredientEls.length
+        ? this.splitIngredients(ingredientEls.map((_, el) => $(el).attr("content") ?? $(el).text()).get())
+        : []
+    };
+  }
+
+  static fromTables($) {
+    let best = null;
+
+    $("table").each((_, table) => {
+      const rows = $(table).find("tr").toArray().map(tr =>
+        $(tr).children("th, td").toArray().map(cell => collapse($(cell).text()))
+      ).filter(cells => cells.length > 0);
+
+      // Pick the per-serving column when the header distinguishes it from per-100g
+      const header = rows.find(cells => !/^serving\s+size/i.test(cells[0]) && cells.some(cell => /per\s+(serving|portion)|100\s*(g|ml)/i.test(cell))) || [];
+      let column = header.findIndex(cell => /serving|portion/i.test(cell) && !/100\s*(g|ml)/i.test(cell));
+      let basis = "per_serving";
+      if (column === -1) {
+        column = header.findIndex(cell => /100\s*(g|ml)/i.test(cell));
+        basis = column === -1 ? "per_serving" : "per_100g";
+      }
+
+      const values = {};
+      for (const cells of rows) {
+        const [label, ...rest] = cells;
+        // EU labels declare salt rather than sodium; sodium = salt / 2.5
+        const isSalt = /^salt\b/i.test(label);
+        const field = isSalt ? "sodium" : Object.keys(NUTRIENT_FIELDS).find(key => NUTRIENT_FIELDS[key][2].test(label));
+        if (!field || field in values) continue;
+
+        // US labels often carry the amount inside the label cell ("Total Fat 8g", "Includes 10g Added Sugars")
+        const inline = label.replace(/^[^\d<]*/, "");
+        const candidates = column > 0 && rest[column - 1] !== undefined ? [rest[column - 1]] : [...rest, inline];
+        for (const candidate of candidates) {
+          if (/%\s*$/.test(candidate)) continue;
+          const amount = this.parseAmount(candidate, isSalt ? "mg" : NUTRIENT_FIELDS[field][0]);
+          if (amount !== null) {
+            values[field] = isSalt ? round(amount / 2.5, 1) : amount;
+            break;
+          }
+        }
+      }
+
+      const servingRow = rows.find(cells => /^serving\s+size/i.test(cells[0]));
+      const servingSize = servingRow
+        ? collapse(servingRow.slice(1).join(" ") || servingRow[0].replace(/^serving\s+size\s*:?/i, ""))
+        : null;
+
+      if (Object.keys(values).length >= 3 && (!best || Object.keys(values).length > Object.keys(best.values).length)) {
+        best = { basis, serving_size: servingSize, values };
+      }
+    });
+
+    return { nutrition: best, ingredients: [] };
+  }
+
+  static ingredientsFromText($) {
+    let found = [];
+    $("p, li, div, span, dd, td").each((_, el) => {
+      const node = $(el);
+      if (node.children("p, div, li, ul, ol, table").length > 0) return;
+      const text = collapse(node.text());
+      if (/^ingredients?\s*[:\-–]/i.test(text) && text.length < 3000) {
+        found = this.splitIngredients(text);
+        return false;
+      }
+    });
+    return found;
+  }
+
+  // Values from another source fill fields the first one lacks, rescaled when one is per serving and the other per 100 g
+  static mergeNutrition(primary, other) {
+    if (!primary) return other;
+    const servingSize = primary.serving_size || other.serving_size;
+    let factor = 1;
+    if (other.basis !== primary.basis) {
+      const grams = UnitService.parse(servingSize)?.grams;
+      if (!grams) return primary;
+      factor = other.basis === "per_100g" ? grams / 100 : 100 / grams;
+    }
+
+    const values = { ...primary.values };
+    for (const [field, value] of Object.entries(other.values)) {
+      if (!(field in values)) values[field] = round(value * factor, 3);
+    }
+    return { ...primary, serving_size: servingSize, values };
+  }
+
+  static mainText($) {
+    $(BOILERPLATE_SELECTORS).remove();
+    $(BLOCK_TAGS).append(" ");
+
+    const main = $("main, article, [role='main'], #content, .content").toArray()
+      .map(el => collapse($(el).text()))
+      .sort((a, b) => b.length - a.length)[0];
+    return main && main.length >= 200 ? main : collapse($("body").text() || $.root().text());
+  }
+
+  static extract(html) {
+    const $ = cheerio.load(html || "");
+    const title = collapse($("title").first().text()) || null;
+
+    const sources = [];
+    let nutrition = null;
+    let ingredients = [];
+    for (const [source, found] of [["json-ld", this.fromJsonLd($)], ["microdata", this.fromMicrodata($)], ["table", this.fromTables($)]]) {
+      if (found.nutrition) {
+        const merged = this.mergeNutrition(nutrition, found.nutrition);
+        if (merged !== nutrition && Object.keys(merged.values).length > Object.keys(nutrition?.values || {}).length) sources.push(source);
+        nutrition = merged;
+      }
+      if (found.ingredients.length > 0 && ingredients.length === 0) {
+        ingredients = found.ingredients;
+        if (!sources.includes(source)) sources.push(source);
+      }
+    }
+
+    // Structured data has been read by now, so every script (JSON-LD included) leaves the page text
+    const text = this.mainText($);
+    if (ingredients.length === 0) {
+      ingredients = this.ingredientsFromText($);
+      if (ingredients.length > 0) sources.push("text");
+    }
+
+    return {
+      title,
+      text,
+      structured: nutrition || ingredients.length > 0 ? { nutrition, ingredients, sources } : null
+    };
+  }
+}
@@ -0,0 +1,144 @@
+import config from "../config.js";
+import { SafeFetchService, BlockedUrlError } from "./safeFetch.js";
+
+export class ImageInputError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "ImageInputError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export class ImageInputService {
+  static isDataUri(value) {
+    return typeof value === "string" && value.trim().startsWith("data:");
+  }
+
+  static sniffMimeType(buffer) {
+    const sniffed = SafeFetchService.sniff(buffer);
+    return sniffed?.startsWith("image/") ? sniffed : null;
+  }
+
+  static assertAcceptable(buffer, declaredMime) {
+    const { maxImageBytes, allowedMimeTypes } = config.uploads;
+
+    if (!buffer || buffer.length === 0) {
+      throw new ImageInputError(400, "empty_image", "Image payload is empty");
+    }
+    if (buffer.length > maxImageBytes) {
+      throw new ImageInputError(413, "image_too_large", `Image exceeds the ${maxImageBytes} byte limit`);
+    }
+
+    const sniffed = this.sniffMimeType(buffer);
+    if (!sniffed || !allowedMimeTypes.includes(sniffed)) {
+      throw new ImageInputError(415, "unsupported_image_type", `Unsupported image type; allowed: ${allowedMimeTypes.join(", ")}`);
+    }
+    if (declaredMime && declaredMime !== sniffed && !(declaredMime === "image/jpg" && sniffed === "image/jpeg")) {
+      throw new ImageInputError(415, "image_type_mismatch", `Declared type ${declaredMime} does not match image content (${sniffed})`);
+    }
+
+    return sniffed;
+  }
+
+  static toDataUri(buffer, mime) {
+    return `data:${mime};base64,${buffer.toString("base64")}`;
+  }
+
+  static fromUpload(file) {
+    const mime = this.assertAcceptable(file.buffer, file.mimetype?.toLowerCase());
+    return { source: "upload", mimeType: mime, bytes: file.buffer.length, buffer: file.buffer, imageUrl: this.toDataUri(file.buffer, mime) };
+  }
+
+  static fromDataUri(dataUri) {
+    const match = dataUri.trim().match(/^data:([\w.+-]+\/[\w.+-]+)?;base64,([A-Za-z0-9+/=\s]+)$/);
+    if (!match) {
+      throw new ImageInputError(400, "invalid_data_uri", "Image data URI must be of the form data:<mime>;base64,<data>");
+    }
+
+    const buffer = Buffer.from(match[2].replace(/\s+/g, ""), "base64");
+    const mime = this.assertAcceptable(buffer, match[1]?.toLowerCase());
+    return { source: "data_uri", mimeType: mime, bytes: buffer.length, buffer, imageUrl: this.toDataUri(buffer, mime) };
+  }
+
+  static fromUrl(imageUrl) {
+    let parsed;
+    try {
+      parsed = new URL(imageUrl);
+    } catch {
+      throw new ImageInputError(400, "invalid_image_url", "imageUrl is not a valid URL");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new ImageInputError(400, "invalid_image_url", "imageUrl must use http or https");
+    }
+    return { source: "url", mimeType: null, bytes: null, buffer: null, imageUrl: parsed.toString() };
+  }
+
+  static resolve(req) {
+    if (req.file) return this.fromUpload(req.file);
+
+    const { imageUrl, imageBase64 } = req.body || {};
+    if (imageBase64) {
+      return this.fromDataUri(this.isDataUri(imageBase64) ? imageBase64 : `data:;base64,${imageBase64}`);
+    }
+    if (this.isDataUri(imageUrl)) return this.fromDataUri(imageUrl);
+    if (imageUrl) return this.fromUrl(imageUrl);
+
+    throw new ImageInputError(400, "image_required", "Provide an image file upload, imageBase64, or imageUrl");
+  }
+
+  // Uploads come first, then imageUrls entries (http(s) URLs or data URIs) in request order
+  static resolveMany(req, { min, max }) {
+    const { imageUrls = [] } = req.body || {};
+    const urls = Array.isArray(imageUrls) ? imageUrls : [imageUrls];
+    if (urls.some(url => typeof url !== "string" || !url.trim())) {
+      throw new ImageInputError(400, "invalid_image_url", "imageUrls must be an array of non-empty strings");
+    }
+
+    const count = (req.files || []).length + urls.length;
+    if (count < min || count > max) {
+      throw new ImageInputError(400, "invalid_image_count", `Provide between ${min} and ${max} images; got ${count}`);
+    }
+
+    return [
+      ...(req.files || []).map(file => this.fromUpload(file)),
+      ...urls.map(url => (this.isDataUri(url) ? this.fromDataUri(url) : this.fromUrl(url)))
+    ];
+  }
+
+  // Checks a remote image before the vision call so a dead link or internal address fails fast with a clear error
+  static async validateRemote(image) {
+    if (image.source !== "url") return image;
+
+    try {
+      if (!config.uploads.validateRemoteUrls) {
+        await SafeFetchService.check(image.imageUrl, { purpose: "image" });
+        return image;
+      }
+
+      // The first bytes are enough to tell a real image from an HTML error page
+      const response = await SafeFetchService.fetch(image.imageUrl, {
+        headers: { "User-Agent": config.scraper.userAgent, Range: "bytes=0-511" },
+        purpose: "image",
+        timeoutMs: config.uploads.remoteCheckTimeoutMs,
+        maxBytes: 512
+      });
+      if (!response.ok) {
+        throw new ImageInputError(422, "image_url_unreachable", `Image URL returned HTTP ${response.status}`);
+      }
+      const mimeType = this.sniffMimeType(response.body);
+      if (!mimeType) {
+        const detected = response.sniffedType || response.contentType || "none";
+        throw new ImageInputError(415, "not_an_image", `Image URL does not point to an image (detected: ${detected})`);
+      }
+      return { ...image, mimeType };
+    } catch (error) {
+      if (error instanceof ImageInputError) throw error;
+      if (error instanceof BlockedUrlError) {
+        throw new ImageInputError(400, "image_url_blocked", `Image URL is not allowed: ${error.reason}`);
+      }
+      const reason = error.name === "AbortError" ? `timed out after ${config.uploads.remoteCheckTimeoutMs}ms` : error.message;
+      throw new ImageInputError(422, "image_url_unreachable", `Image URL could not be fetched: ${reason}`);
+    }
+  }
+}
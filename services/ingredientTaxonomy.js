@@ -0,0 +1,120 @@
+import { readFileSync } from "fs";
+
+const taxonomy = JSON.parse(readFileSync(new URL("./data/ingredientTaxonomy.json", import.meta.url), "utf8"));
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function phrasePattern(phrase) {
+  return new RegExp(`(?<![a-z0-9])${escapeRegExp(phrase)}(?![a-z0-9])`, "g");
+}
+
+const exclusionPatterns = taxonomy.exclusions.map(phrasePattern);
+
+// Longest synonyms first so "high fructose corn syrup" wins over "corn syrup"
+const synonymPatterns = taxonomy.entries
+  .flatMap(entry => entry.synonyms.map(synonym => ({ entry, synonym: synonym.toLowerCase() })))
+  .sort((a, b) => b.synonym.length - a.synonym.length)
+  .map(item => ({ ...item, pattern: phrasePattern(item.synonym) }));
+
+export class IngredientTaxonomyService {
+  static get taxonomy() {
+    return taxonomy;
+  }
+
+  static get version() {
+    return taxonomy.version;
+  }
+
+  static normalize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[[{]/g, "(")
+      .replace(/[\]}]/g, ")")
+      .replace(/[*_†‡]/g, "")
+      .replace(/\b(e)[\s-]+(\d{3}[a-z]?)\b/g, "$1$2")
+      .replace(/\d+(\.\d+)?\s*%/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  static tokenize(ingredients) {
+    const items = Array.isArray(ingredients) ? ingredients : [ingredients];
+    return items
+      .map(item => (typeof item === "string" ? item : item?.text || item?.name || "").toString())
+      .flatMap(text => text.split(/[,;](?![^()]*\))/))
+      .map(text => text.replace(/^\s*(ingredients?|contains)\s*:\s*/i, "").replace(/\.$/, "").trim())
+      .filter(Boolean);
+  }
+
+  // "canola, soybean and/or sunflower oil" names three oils; the shared noun is written once at the end
+  static distributeOils(text) {
+    return text.replace(/\(([^()]*)\)/g, (group, list) => {
+      const items = list.split(/\s*(?:,|\band\/or\b|\band\b|\bor\b)\s*/).filter(Boolean);
+      if (items.length < 2 || !/\boils?$/.test(items[items.length - 1])) return group;
+      return `(${items.map(item => (/\boils?\b/.test(item) ? item : `${item} oil`)).join(", ")})`;
+    });
+  }
+
+  static matchToken(token) {
+    const text = this.distributeOils(this.normalize(token));
+    const consumed = [];
+    const overlaps = (start, end) => consumed.some(([s, e]) => start < e && end > s);
+
+    for (const pattern of exclusionPatterns) {
+      for (const m of text.matchAll(pattern)) consumed.push([m.index, m.index + m[0].length]);
+    }
+
+    const matches = [];
+    for (const { entry, synonym, pattern } of synonymPatterns) {
+      for (const m of text.matchAll(pattern)) {
+        const end = m.index + m[0].length;
+        if (overlaps(m.index, end) || matches.some(match => match.id === entry.id)) continue;
+        consumed.push([m.index, end]);
+        matches.push({ ingredient: token, matched: synonym, id: entry.id, name: entry.name, category: entry.category, severity: entry.severity, start: m.index });
+      }
+    }
+
+    // An umbrella term such as "vegetable oil" is dropped when its parenthetical names the actual ingredients
+    const insideParens = (index) => text.lastIndexOf("(", index) > text.lastIndexOf(")", index);
+    const specific = new Set(matches.filter(match => insideParens(match.start)).map(match => match.category));
+    return matches
+      .filter(match => insideParens(match.start) || !specific.has(match.category))
+      .sort((a, b) => a.start - b.start)
+      .map(({ start, ...match }) => match);
+  }
+
+  static match(ingredients) {
+    const seen = new Set();
+    const matches = [];
+
+    for (const token of this.tokenize(ingredients || [])) {
+      for (const match of this.matchToken(token)) {
+        if (seen.has(match.id)) continue;
+        seen.add(match.id);
+        matches.push(match);
+      }
+    }
+    return matches;
+  }
+
+  static toResultFields(matches) {
+    const fields = {
+      seed_oils: [],
+      estrogenic_compounds: [],
+      microplastics: [],
+      processed_profile: { added_synthetic_sugars: [], additives: [], refined_carbs: [] }
+    };
+
+    for (const match of matches) {
+      for (const field of taxonomy.categories[match.category].fields) {
+        const [group, key] = field.split(".");
+        const list = key ? fields[group][key] : fields[group];
+        if (!list.includes(match.name)) list.push(match.name);
+      }
+    }
+
+    return { ...fields, disruptor_count: matches.length };
+  }
+}
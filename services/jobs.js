@@ -0,0 +1,257 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import config from "../config.js";
+import { AnalysisPipelineService, PIPELINE_STAGES } from "./pipeline.js";
+import { ProfileStore } from "./profiles.js";
+import { HistoryStore } from "./history.js";
+import { SafeFetchService, BlockedUrlError } from "./safeFetch.js";
+import { RequestContext } from "./requestContext.js";
+import { Tracer } from "./tracing.js";
+import { CostService } from "./costs.js";
+import { Logger } from "./logger.js";
+
+const jobs = new Map();
+const pending = [];
+const writeChains = new Map();
+let active = 0;
+let initPromise = null;
+
+function jobFile(id) {
+  return path.join(config.jobs.dir, `${id}.json`);
+}
+
+export class JobQueueService {
+  static init() {
+    if (!initPromise) {
+      initPromise = this.restore().catch(error => {
+        Logger.warn("Failed to restore job store", { error: error.message });
+      });
+      const pruneTimer = setInterval(() => {
+        this.prune().catch(error => Logger.warn("Failed to prune finished jobs", { error: error.message }));
+      }, config.jobs.pruneIntervalMinutes * 60 * 1000);
+      pruneTimer.unref();
+    }
+    return initPromise;
+  }
+
+  // Finished jobs past retention leave memory and disk while the server runs, not only at the next restart
+  static async prune() {
+    const cutoff = Date.now() - config.jobs.retentionHours * 60 * 60 * 1000;
+    let removed = 0;
+    for (const job of [...jobs.values()]) {
+      // A webhook still retrying needs its job record
+      if (!job.finishedAt || Date.parse(job.finishedAt) >= cutoff || job.callback?.status === "pending") continue;
+      jobs.delete(job.id);
+      await (writeChains.get(job.id) || Promise.resolve()).catch(() => {});
+      await fs.rm(jobFile(job.id), { force: true });
+      removed++;
+    }
+    return removed;
+  }
+
+  static async restore() {
+    await fs.mkdir(config.jobs.dir, { recursive: true });
+    const cutoff = Date.now() - config.jobs.retentionHours * 60 * 60 * 1000;
+
+    for (const file of await fs.readdir(config.jobs.dir)) {
+      if (!file.endsWith(".json")) continue;
+      let job;
+      try {
+        job = JSON.parse(await fs.readFile(path.join(config.jobs.dir, file), "utf8"));
+      } catch (error) {
+        Logger.warn("Skipping unreadable job file", { file, error: error.message });
+        continue;
+      }
+
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        await fs.rm(jobFile(job.id), { force: true });
+        continue;
+      }
+
+      jobs.set(job.id, job);
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "queued";
+        job.stage = null;
+        job.restarts = (job.restarts || 0) + 1;
+        pending.push(job);
+      } else if (job.callbackUrl && job.callback?.status === "pending") {
+        this.notify(job).catch(error => Logger.warn("Job webhook failed", { jobId: job.id, error: error.message }));
+      }
+    }
+
+    pending.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    this.drain();
+  }
+
+  static persist(job) {
+    job.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(job);
+    const tmpPath = `${jobFile(job.id)}.tmp`;
+
+    // Writes for the same job are chained so an older snapshot never lands last
+    const write = (writeChains.get(job.id) || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, jobFile(job.id));
+      })
+      .finally(() => {
+        if (writeChains.get(job.id) === write) writeChains.delete(job.id);
+      });
+
+    writeChains.set(job.id, write);
+    return write;
+  }
+
+  static async enqueue({ imageUrl, imageSource, cacheMode = "default", profileId = null, userId = null, regime = config.nutrition.regime, callbackUrl = null, apiKeyId = null }) {
+    await this.init();
+
+    const now = new Date().toISOString();
+    const context = RequestContext.get();
+    const job = {
+      id: crypto.randomUUID(),
+      // Kept so the background run and its webhook can be correlated with the request that queued it
+      requestId: context?.requestId || null,
+      traceparent: context?.span?.traceparent || null,
+      // Only the key that queued the job may read it back
+      apiKeyId,
+      status: "queued",
+      stage: null,
+      stages: [],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      callbackUrl,
+      callback: callbackUrl ? { status: "pending", attempts: 0, lastError: null } : null,
+      input: { imageUrl, imageSource, cacheMode, profileId, userId, regime, apiKeyId },
+      result: null,
+      error: null
+    };
+
+    jobs.set(job.id, job);
+    await this.persist(job);
+    pending.push(job);
+    this.drain();
+    return job;
+  }
+
+  static async get(id, apiKeyId = null) {
+    await this.init();
+    const job = jobs.get(id);
+    return job && (job.apiKeyId ?? null) === (apiKeyId ?? null) ? job : null;
+  }
+
+  static toPublic(job) {
+    const stageIndex = job.stage ? PIPELINE_STAGES.indexOf(job.stage) : -1;
+    return {
+      id: job.id,
+      requestId: job.requestId || null,
+      status: job.status,
+      stage: job.stage,
+      progress: job.status === "succeeded" ? 1 : Math.max(0, stageIndex) / (PIPELINE_STAGES.length - 1),
+      stages: job.stages,
+      queuePosition: job.status === "queued" ? pending.indexOf(job) + 1 : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      callback: job.callback,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  static drain() {
+    while (active < config.jobs.concurrency && pending.length > 0) {
+      const job = pending.shift();
+      active++;
+      RequestContext.run({ requestId: job.requestId || null }, () => this.execute(job))
+        .catch(error => Logger.error("Job crashed", { jobId: job.id, error }))
+        .finally(() => {
+          active--;
+          this.drain();
+        });
+    }
+  }
+
+  static async execute(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    job.stages = [];
+    await this.persist(job);
+
+    const onStage = (stage) => {
+      job.stage = stage;
+      job.stages.push({ name: stage, at: new Date().toISOString() });
+      this.persist(job).catch(error => Logger.warn("Failed to persist job", { jobId: job.id, error: error.message }));
+    };
+
+    try {
+      const { imageUrl, imageSource, cacheMode, profileId, userId, regime, apiKeyId = null } = job.input;
+      const profile = profileId ? await ProfileStore.get(profileId, apiKeyId) : null;
+      if (profileId && !profile) Logger.warn("Job profile no longer exists; skipping profile match", { jobId: job.id, profileId });
+      // Jobs run after the request has ended, so the caller's key and a fresh ledger are restored for accounting
+      const costs = CostService.ledger();
+      try {
+        const result = await RequestContext.run({ ...RequestContext.get(), apiKeyId, costs }, () =>
+          Tracer.span("job.analyze", { "job.id": job.id }, () => AnalysisPipelineService.run(imageUrl, { imageSource, cacheMode, profile, regime, onStage }),
+            { parent: Tracer.parseTraceparent(job.traceparent) }));
+        job.result = await HistoryStore.attach(userId, result, apiKeyId);
+      } finally {
+        CostService.record(costs, { endpoint: "POST /jobs/analyze", apiKeyId })
+          .catch(error => Logger.warn("Failed to record job costs", { jobId: job.id, error: error.message }));
+      }
+      job.status = "succeeded";
+    } catch (error) {
+      Logger.error("Job failed", { jobId: job.id, error: error.message });
+      job.status = "failed";
+      job.error = {
+        error: error.name === "SchemaValidationError" ? "invalid_model_output" : "internal_error",
+        message: error.message,
+        validationErrors: error.errors
+      };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    job.input = null;
+    await this.persist(job);
+
+    if (job.callbackUrl) await this.notify(job);
+  }
+
+  static async notify(job) {
+    const body = JSON.stringify({ event: `job.${job.status}`, job: this.toPublic(job) });
+
+    while (job.callback.attempts < config.jobs.webhookAttempts) {
+      job.callback.attempts++;
+      try {
+        // Redirects are not followed so a receiver cannot bounce the POST to another host
+        const response = await SafeFetchService.fetch(job.callbackUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "X-Job-Id": job.id, ...(job.requestId ? { "X-Request-Id": job.requestId } : {}) },
+          body,
+          purpose: "webhook",
+          timeoutMs: config.jobs.webhookTimeoutMs,
+          maxBytes: 0,
+          maxRedirects: 0
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        job.callback.status = "delivered";
+        job.callback.lastError = null;
+        break;
+      } catch (error) {
+        job.callback.lastError = error.name === "AbortError" ? "timeout" : error.message;
+        Logger.warn("Job webhook failed", { jobId: job.id, attempt: job.callback.attempts, error: job.callback.lastError });
+        // The address will not become public on a retry
+        if (error instanceof BlockedUrlError) break;
+        if (job.callback.attempts < config.jobs.webhookAttempts) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (job.callback.attempts - 1)));
+        }
+      }
+    }
+
+    if (job.callback.status !== "delivered") job.callback.status = "failed";
+    await this.persist(job);
+  }
+}
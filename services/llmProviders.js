@@ -0,0 +1,106 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import OpenAI, { AzureOpenAI } from "openai";
+import config from "../config.js";
+
+export class FixtureMissingError extends Error {
+  constructor(key, file) {
+    super(`No LLM fixture recorded for request ${key} (expected ${file})`);
+    this.name = "FixtureMissingError";
+    this.key = key;
+    this.file = file;
+  }
+}
+
+export class OpenAIProvider {
+  constructor(client, name = "openai") {
+    this.client = client;
+    this.name = name;
+  }
+
+  async createChatCompletion(request) {
+    return this.client.chat.completions.create(request);
+  }
+}
+
+export class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(client, deployment) {
+    super(client, "azure");
+    this.deployment = deployment;
+  }
+
+  async createChatCompletion(request) {
+    // Azure routes by deployment; the model name is informational only
+    return this.client.chat.completions.create({ ...request, model: this.deployment || request.model });
+  }
+}
+
+export class FixtureProvider {
+  constructor(dir, mode = "replay", recorder = null) {
+    this.name = "fixture";
+    this.dir = dir;
+    this.mode = mode;
+    this.recorder = recorder;
+  }
+
+  static fixtureKey(request) {
+    const { messages, model, temperature, max_tokens, response_format } = request;
+    const canonical = JSON.stringify({ messages, model, temperature, max_tokens, response_format: response_format?.type || null });
+    return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 32);
+  }
+
+  async createChatCompletion(request) {
+    const key = FixtureProvider.fixtureKey(request);
+    const file = path.join(this.dir, `${key}.json`);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(file, "utf8"));
+      return fixture.response;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (this.mode !== "record" || !this.recorder) throw new FixtureMissingError(key, file);
+    }
+
+    const response = await this.recorder.createChatCompletion(request);
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ key, recordedAt: new Date().toISOString(), model: request.model, response }, null, 2));
+    return response;
+  }
+}
+
+export class LLMProviderFactory {
+  static async create(name = config.llm.provider) {
+    switch (name) {
+      case "openai":
+        return new OpenAIProvider(new OpenAI({ apiKey: config.openai.apiKey }));
+
+      case "azure": {
+        const { endpoint, apiKey, deployment, apiVersion } = config.llm.azure;
+        if (apiKey) {
+          return new AzureOpenAIProvider(new AzureOpenAI({ endpoint, apiKey, deployment, apiVersion }), deployment);
+        }
+        const { DefaultAzureCredential, getBearerTokenProvider } = await import("@azure/identity");
+        const azureADTokenProvider = getBearerTokenProvider(new DefaultAzureCredential(), "https://cognitiveservices.azure.com/.default");
+        return new AzureOpenAIProvider(new AzureOpenAI({ endpoint, azureADTokenProvider, deployment, apiVersion }), deployment);
+      }
+
+      case "compatible": {
+        const { baseURL, apiKey } = config.llm.compatible;
+        return new OpenAIProvider(new OpenAI({ baseURL, apiKey }), "compatible");
+      }
+
+      case "fixture": {
+        const { dir, mode, recordProvider } = config.llm.fixtures;
+        if (mode === "record" && recordProvider === "fixture") {
+          throw new Error("LLM_FIXTURE_RECORD_PROVIDER must be a live provider");
+        }
+        const recorder = mode === "record" ? await this.create(recordProvider) : null;
+        return new FixtureProvider(dir, mode, recorder);
+      }
+
+      default:
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import config from "../config.js";
+import { RequestContext } from "./requestContext.js";
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_FIELD = /(authorization|api[-_]?key(?![-_.]?id)|admin[-_]?token|access[-_]?token|subscription[-_]?token|^token$|secret|password|cookie)/i;
+const SECRET_PATTERNS = [
+  // Image payloads are large and may be personal; keep only the type and size
+  [/data:([\w.+-]+\/[\w.+-]+)?;base64,[A-Za-z0-9+/=\s]+/g, (match, mime) => `data:${mime || ""};base64,[REDACTED ${match.length} chars]`],
+  [/\b(sk-[A-Za-z0-9_-]{16,}|pai_[A-Za-z0-9_-]{16,})/g, () => "[REDACTED]"],
+  [/\b(Bearer)\s+[^\s,"]+/gi, (match, scheme) => `${scheme} [REDACTED]`],
+  [/([?&](?:key|api_?key|apikey|token|access_token|secret|sig)=)[^&\s#"]+/gi, (match, name) => `${name}[REDACTED]`]
+];
+const MAX_DEPTH = 6;
+
+function redactString(text) {
+  return SECRET_PATTERNS.reduce((value, [pattern, replace]) => value.replace(pattern, replace), text);
+}
+
+export class Logger {
+  static redact(value, depth = 0) {
+    if (typeof value === "string") return redactString(value);
+    if (value === null || typeof value !== "object") return value;
+    if (depth >= MAX_DEPTH) return "[Truncated]";
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: redactString(value.message || ""),
+        ...(value.code ? { code: value.code } : {}),
+        ...(value.stack ? { stack: redactString(value.stack) } : {})
+      };
+    }
+    if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, SECRET_FIELD.test(key) && item ? "[REDACTED]" : this.redact(item, depth + 1)]));
+  }
+
+  static enabled(level) {
+    return LOG_LEVELS[level] >= (LOG_LEVELS[config.logging.level] ?? LOG_LEVELS.info);
+  }
+
+  static log(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+    const context = RequestContext.get();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(message),
+      ...(context?.requestId ? { requestId: context.requestId } : {}),
+      ...(context?.span ? { traceId: context.span.traceId, spanId: context.span.spanId } : {}),
+      ...this.redact(fields)
+    };
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    if (config.logging.format === "pretty") {
+      const { time, level: _, msg, ...rest } = entry;
+      const extras = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+      stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras.length > 0 ? ` ${extras.join(" ")}` : ""}\n`);
+    } else {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  static debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  static info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  static warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  static error(message, fields) {
+    this.log("error", message, fields);
+  }
+}
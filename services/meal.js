@@ -0,0 +1,136 @@
+import config from "../config.js";
+import { OpenAIService } from "./openai.js";
+import { TestosteroneScoreService } from "./scoring.js";
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+import { MEAL_ANALYSIS_SCHEMA, FOOD_NUTRITION_SCHEMA, NUTRIENT_FIELDS } from "./schemas.js";
+import { CostService } from "./costs.js";
+import { Utils } from "./utils.js";
+
+const NUTRIENT_UNITS = "calories in kcal; total_fat, saturated_fat, trans_fat, total_carbohydrate, dietary_fiber, total_sugars, added_sugars and protein in g; cholesterol, sodium, calcium, iron and potassium in mg; vitamin_d in mcg";
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export class MealAnalysisService {
+  static async analyzeImage(imageUrl) {
+    const { value } = await OpenAIService.createJsonCompletion([
+      {
+        role: "user",
+        content: [
+          {
+            type: "text",
+            text: `You are a dietitian analyzing a photo of a meal. Identify EVERY distinct food or drink item visible (e.g. "grilled chicken breast", "white rice", "broccoli", "olive oil dressing"), estimate the portion of each in grams from its visual size relative to the plate, cutlery and other items, and give typical nutrition values per 100 g of that item as prepared.
+
+Return only JSON:
+{
+  "meal_name": string,
+  "items": [
+    {
+      "name": string,
+      "portion_grams": number,
+      "confidence": "high"|"medium"|"low",
+      "ingredients": string[],
+      "nutrition_per_100g": { ${NUTRIENT_FIELDS.map(field => `"${field}": number`).join(", ")} }
+    }
+  ],
+  "notes": string
+}
+
+Rules:
+- Units: ${NUTRIENT_UNITS}. Numbers only, no unit strings.
+- List cooking fats, sauces and dressings as separate items when visible, with their likely ingredients.
+- Do not merge different foods into one item; do not invent items that are not visible.`
+          },
+          { type: "image_url", image_url: { url: imageUrl } }
+        ]
+      }
+    ], MEAL_ANALYSIS_SCHEMA, { schemaName: "meal_analysis", temperature: 0.1, max_tokens: 2000 });
+
+    return value;
+  }
+
+  static async estimateFood(name) {
+    const { value } = await OpenAIService.createJsonCompletion([
+      { role: "system", content: "You are a dietitian. Return typical nutrition values for a food as prepared and served, as JSON only." },
+      {
+        role: "user",
+        content: `Food: ${name}
+
+Return {"ingredients": string[], "nutrition_per_100g": { ${NUTRIENT_FIELDS.map(field => `"${field}": number`).join(", ")} }}.
+Units: ${NUTRIENT_UNITS}.`
+      }
+    ], FOOD_NUTRITION_SCHEMA, { schemaName: "food_nutrition", temperature: 0.1, max_tokens: 500 });
+
+    return value;
+  }
+
+  static scaleNutrition(per100g, grams) {
+    return Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, round(((per100g?.[field] || 0) * grams) / 100)]));
+  }
+
+  static sumNutrition(items) {
+    const totals = Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, 0]));
+    for (const item of items) {
+      for (const field of NUTRIENT_FIELDS) totals[field] += item.nutrition[field];
+    }
+    return Object.fromEntries(Object.entries(totals).map(([field, value]) => [field, round(value)]));
+  }
+
+  // Items that lost their per-100g values (renamed or added by the user) are looked up by name with a text-only call
+  static async fillMissingNutrition(items) {
+    let estimated = 0;
+    const filled = await Utils.mapWithConcurrency(items, config.meal.fillConcurrency, async (item) => {
+      if (item.nutrition_per_100g) return item;
+      estimated++;
+      const food = await this.estimateFood(item.name);
+      return { ...item, ingredients: item.ingredients?.length ? item.ingredients : food.ingredients, nutrition_per_100g: food.nutrition_per_100g };
+    });
+    return { items: filled, estimated };
+  }
+
+  static build(meal, debug = {}) {
+    const items = meal.items
+      .filter(item => item.portion_grams > 0)
+      .map(item => ({
+        name: item.name,
+        portion_grams: round(item.portion_grams),
+        confidence: item.confidence,
+        ingredients: item.ingredients || [],
+        nutrition_per_100g: item.nutrition_per_100g,
+        nutrition: this.scaleNutrition(item.nutrition_per_100g, item.portion_grams)
+      }));
+
+    const totals = this.sumNutrition(items);
+    const totalGrams = round(items.reduce((sum, item) => sum + item.portion_grams, 0));
+    const disruptors = IngredientTaxonomyService.match(items.flatMap(item => item.ingredients.length > 0 ? item.ingredients : [item.name]));
+    const fields = IngredientTaxonomyService.toResultFields(disruptors);
+    const scoring = TestosteroneScoreService.score({ nutritionFacts: totals, disruptors });
+
+    return {
+      meal_name: meal.meal_name,
+      items,
+      totals: { portion_grams: totalGrams, ...totals },
+      nutrition_facts: { serving_size: Math.round(totalGrams), ...totals },
+      seed_oils: fields.seed_oils,
+      estrogenic_compounds: fields.estrogenic_compounds,
+      microplastics: fields.microplastics,
+      processed_profile: fields.processed_profile,
+      t_score_impact: TestosteroneScoreService.toImpact(scoring),
+      notes: meal.notes || "",
+      debug: { ...debug, scoring, taxonomyVersion: IngredientTaxonomyService.version }
+    };
+  }
+
+  static async analyze(imageUrl, options = {}) {
+    const { imageSource = "url" } = options;
+    const { result: meal, costs } = await CostService.track(() => this.analyzeImage(imageUrl));
+    return this.build(meal, { imageSource, visionCall: true, costs });
+  }
+
+  static async recalculate(meal) {
+    const { result: { items, estimated }, costs } = await CostService.track(() => this.fillMissingNutrition(meal.items));
+    return this.build({ ...meal, items }, { visionCall: false, estimatedItems: estimated, costs });
+  }
+}
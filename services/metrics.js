@@ -0,0 +1,180 @@
+import { performance } from "perf_hooks";
+import config from "../config.js";
+import { CacheService } from "./cache.js";
+import { Tracer } from "./tracing.js";
+import { Utils } from "./utils.js";
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+const registry = new Map();
+const scrapeHosts = new Set();
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.set(name, this);
+  }
+
+  // Labels outside the declared set are dropped so a caller cannot grow the series by accident
+  entry(labels, create) {
+    const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? ""]));
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, { labels: picked, ...create() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  // For totals kept by another module and copied in when scraped
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)];
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help, labelNames) {
+    super(name, help, labelNames);
+    this.type = "gauge";
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`));
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const httpRequests = new Counter("http_requests_total", "HTTP requests by route and status code", ["method", "route", "status"]);
+const httpDuration = new Histogram("http_request_duration_seconds", "HTTP request latency by route", ["method", "route"]);
+const httpInFlight = new Gauge("http_requests_in_flight", "HTTP requests currently being served");
+const stageDuration = new Histogram("pipeline_stage_duration_seconds", "Analysis pipeline stage latency", ["stage"]);
+const stageFailures = new Counter("pipeline_stage_failures_total", "Analysis pipeline stages that threw", ["stage"]);
+const parseFailures = new Counter("llm_parse_failures_total", "Model responses that were not valid JSON or did not match the schema", ["schema", "reason"]);
+const outputRejected = new Counter("llm_output_rejected_total", "Model outputs still invalid after every repair attempt", ["schema"]);
+const scrapes = new Counter("scrape_requests_total", "Page scrapes by host and outcome", ["host", "outcome"]);
+const searchErrors = new Counter("search_provider_errors_total", "Search provider failures by HTTP status, or timeout/network", ["provider", "status"]);
+const cacheRequests = new Counter("cache_requests_total", "Cache lookups by layer and outcome", ["layer", "outcome"]);
+const cacheHitRatio = new Gauge("cache_hit_ratio", "Cache hits over hits and misses, per layer", ["layer"]);
+httpInFlight.set({}, 0);
+
+export class MetricsService {
+  static requestStarted() {
+    httpInFlight.inc();
+  }
+
+  static requestFinished({ method, route, status, durationMs }) {
+    httpInFlight.dec();
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, durationMs / 1000);
+  }
+
+  // Runs one pipeline stage under its own span and records how long it took
+  static async stage(name, attributes, fn) {
+    const start = performance.now();
+    try {
+      return await Tracer.span(`pipeline.${name}`, attributes, fn);
+    } catch (error) {
+      stageFailures.inc({ stage: name });
+      throw error;
+    } finally {
+      stageDuration.observe({ stage: name }, (performance.now() - start) / 1000);
+    }
+  }
+
+  static recordParseFailure(schema, reason) {
+    parseFailures.inc({ schema, reason });
+  }
+
+  static recordOutputRejected(schema) {
+    outputRejected.inc({ schema });
+  }
+
+  // Hosts are reduced to their registrable domain, and only the first few seen get their own series
+  static scrapeHost(url) {
+    let host;
+    try {
+      host = Utils.registrableDomain(new URL(url).hostname);
+    } catch {
+      return "invalid";
+    }
+    if (scrapeHosts.has(host)) return host;
+    if (scrapeHosts.size >= config.metrics.maxScrapeHosts) return "other";
+    scrapeHosts.add(host);
+    return host;
+  }
+
+  static recordScrape(url, outcome) {
+    scrapes.inc({ host: this.scrapeHost(url), outcome });
+  }
+
+  static recordSearchError(provider, status) {
+    searchErrors.inc({ provider, status });
+  }
+
+  static render() {
+    for (const [layer, outcomes] of Object.entries(CacheService.stats())) {
+      for (const [outcome, count] of Object.entries(outcomes)) cacheRequests.set({ layer, outcome }, count);
+      const lookups = outcomes.hit + outcomes.miss;
+      cacheHitRatio.set({ layer }, lookups > 0 ? outcomes.hit / lookups : 0);
+    }
+    return `${[...registry.values()].flatMap(metric => metric.render()).join("\n")}\n`;
+  }
+}
@@ -0,0 +1,115 @@
+import { readFileSync } from "fs";
+import config from "../config.js";
+import { UnitService } from "./units.js";
+import { NUTRIENT_FIELDS } from "./schemas.js";
+
+const referenceIntakes = JSON.parse(readFileSync(new URL("./data/referenceIntakes.json", import.meta.url), "utf8"));
+
+export const LABEL_REGIMES = Object.keys(referenceIntakes.regimes);
+
+// EU labels declare salt rather than sodium
+const SALT_PER_MG_SODIUM = 2.5 / 1000;
+
+function toNumber(value) {
+  const num = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : 0;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export class NutritionLabelService {
+  static get regimes() {
+    return referenceIntakes.regimes;
+  }
+
+  static scale(values, factor) {
+    return Object.fromEntries(Object.entries(values).map(([field, value]) => [field, round(value * factor, 2)]));
+  }
+
+  // "2 tbsp" or "1 bar" alone gives no usable size, so the integer grams field fills the gap for solids
+  static withGrams(quantity, grams, density) {
+    const fallback = UnitService.parse(toNumber(grams));
+    if (!quantity) return fallback;
+    const vague = quantity.grams === null && (quantity.ml === null || quantity.approximate);
+    return vague && fallback && !density.liquid ? { ...quantity, grams: fallback.grams } : quantity;
+  }
+
+  // Serving and package sizes in the basis unit (g for solids, ml for liquids)
+  static quantities(result) {
+    const facts = result.nutrition_facts || {};
+    const info = result.product_info || {};
+    const density = UnitService.densityFor(info.product_name);
+
+    const serving = this.withGrams(UnitService.parse(facts.serving_size_text, { liquid: density.liquid }), facts.serving_size, density);
+    const pkg = this.withGrams(UnitService.parse(info.net_weight_text, { liquid: density.liquid }), info.net_weight, density);
+
+    const unit = serving?.grams != null ? "g"
+      : serving?.ml != null ? "ml"
+      : pkg?.grams != null ? "g"
+      : pkg?.ml != null ? "ml"
+      : "g";
+    const amountOf = (quantity) => (unit === "g" ? UnitService.toGrams(quantity, density) : UnitService.toMillilitres(quantity, density));
+    // A mass read from a volume (or the reverse) went through the density table
+    const converted = (quantity) => quantity && (unit === "g" ? quantity.grams === null && quantity.ml !== null : quantity.ml === null && quantity.grams !== null);
+
+    const servingAmount = amountOf(serving);
+    let packageAmount = amountOf(pkg);
+    // "12 bars" per box with a "1 bar (60 g)" serving
+    const countStem = (quantity) => quantity?.countUnit?.replace(/(es|s)$/, "");
+    if (packageAmount === null && servingAmount && serving.count && pkg?.count && countStem(serving) === countStem(pkg)) {
+      packageAmount = (servingAmount * pkg.count) / serving.count;
+    }
+
+    return {
+      unit,
+      serving,
+      package: pkg,
+      servingAmount,
+      packageAmount,
+      density: converted(serving) || converted(pkg) ? { value: density.value, source: density.source } : null
+    };
+  }
+
+  static dailyValues(values, regime) {
+    if (!values) return null;
+    const { intakes } = referenceIntakes.regimes[regime];
+    return Object.fromEntries(Object.entries(intakes)
+      .filter(([field]) => field in values)
+      .map(([field, intake]) => [field, Math.round((values[field] / intake.amount) * 100)]));
+  }
+
+  static normalize(result, options = {}) {
+    const { regime = config.nutrition.regime } = options;
+    const facts = result.nutrition_facts || {};
+    const { unit, serving, package: pkg, servingAmount, packageAmount, density } = this.quantities(result);
+
+    const perServing = Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, toNumber(facts[field])]));
+    if (regime === "eu") perServing.salt = round(perServing.sodium * SALT_PER_MG_SODIUM, 2);
+
+    const per100 = servingAmount ? this.scale(perServing, 100 / servingAmount) : null;
+    const servingsPerPackage = servingAmount && packageAmount ? packageAmount / servingAmount : null;
+    const perPackage = servingsPerPackage ? this.scale(perServing, servingsPerPackage) : null;
+    const reference = referenceIntakes.regimes[regime];
+
+    return {
+      regime,
+      basis: `100${unit}`,
+      serving: serving ? { ...serving, amount_in_basis: servingAmount } : null,
+      package: pkg ? { ...pkg, amount_in_basis: packageAmount } : null,
+      density,
+      servings_per_package: servingsPerPackage ? round(servingsPerPackage) : null,
+      per_serving: perServing,
+      per_100: per100,
+      per_package: perPackage,
+      daily_values: {
+        reference: reference.label,
+        primary: reference.primary,
+        per_serving: this.dailyValues(perServing, regime),
+        per_100: this.dailyValues(per100, regime)
+      }
+    };
+  }
+}
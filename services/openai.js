@@ -1,20 +1,116 @@
-import OpenAI from "openai";
 import config from "../config.js";
+import { Utils } from "./utils.js";
+import { SchemaValidator, SchemaValidationError } from "./validation.js";
+import { LLMProviderFactory } from "./llmProviders.js";
+import { RequestContext } from "./requestContext.js";
+import { ApiKeyStore } from "./apiKeys.js";
+import { CostService } from "./costs.js";
+import { Logger } from "./logger.js";
+import { Tracer } from "./tracing.js";
+import { MetricsService } from "./metrics.js";
 
-const openAIClient = new OpenAI({ apiKey: config.openai.apiKey });
+let providerPromise = null;
+
+const JSON_SCHEMA_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4)/;
 
 export class OpenAIService {
+  static supportsJsonSchema(model = config.llm.textModel) {
+    if (config.openai.structuredOutputs === "true") return true;
+    if (config.openai.structuredOutputs === "false") return false;
+    return JSON_SCHEMA_MODELS.test(model) && model !== "gpt-4o-2024-05-13";
+  }
+
+  static getProvider() {
+    if (!providerPromise) {
+      providerPromise = LLMProviderFactory.create().catch(error => {
+        providerPromise = null;
+        throw error;
+      });
+    }
+    return providerPromise;
+  }
+
+  static setProvider(provider) {
+    providerPromise = provider ? Promise.resolve(provider) : null;
+  }
+
+  static hasImageContent(messages) {
+    return messages.some(message => Array.isArray(message.content) && message.content.some(part => part.type === "image_url"));
+  }
+
   static async createChatCompletion(messages, options = {}) {
     const defaultOptions = {
-      model: config.openai.model,
+      model: this.hasImageContent(messages) ? config.llm.visionModel : config.llm.textModel,
       temperature: 0.1,
       max_tokens: 1000
     };
 
-    return openAIClient.chat.completions.create({
-      ...defaultOptions,
-      ...options,
-      messages
-    });
+    const provider = await this.getProvider();
+    const request = { ...defaultOptions, ...options, messages };
+    const response = await Tracer.span("llm.chat_completion", { "llm.provider": provider.name, "llm.request.model": request.model, "llm.images": this.hasImageContent(messages) }, async (span) => {
+      const completion = await provider.createChatCompletion(request);
+      span.setAttributes({
+        "llm.response.model": completion?.model,
+        "llm.usage.prompt_tokens": completion?.usage?.prompt_tokens,
+        "llm.usage.completion_tokens": completion?.usage?.completion_tokens,
+        "llm.finish_reason": completion?.choices?.[0]?.finish_reason
+      });
+      return completion;
+    }, { kind: "client" });
+    CostService.recordLlm({ model: response?.model || request.model, usage: response?.usage, messages });
+
+    // Tokens count against the monthly budget of the API key that started the request
+    const apiKeyId = RequestContext.get()?.apiKeyId;
+    if (apiKeyId && response?.usage) {
+      ApiKeyStore.recordTokens(apiKeyId, response.usage).catch(error => Logger.warn("Failed to record token usage", { error: error.message }));
+    }
+    return response;
+  }
+
+  static async createJsonCompletion(messages, schema, options = {}) {
+    const { schemaName = "result", repairAttempts = config.openai.repairAttempts, ...completionOptions } = options;
+    const model = completionOptions.model || (this.hasImageContent(messages) ? config.llm.visionModel : config.llm.textModel);
+
+    if (OpenAIService.supportsJsonSchema(model)) {
+      completionOptions.response_format = {
+        type: "json_schema",
+        json_schema: { name: schemaName, schema: SchemaValidator.toJsonSchema(schema), strict: false }
+      };
+    }
+
+    let conversation = messages;
+    let lastErrors = [];
+    let lastContent = null;
+
+    for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+      const response = await this.createChatCompletion(conversation, completionOptions);
+      lastContent = response.choices[0].message.content;
+
+      const parsed = Utils.parseJsonFromText(lastContent);
+      if (parsed.value) {
+        const checked = SchemaValidator.coerce(parsed.value, schema);
+        if (checked.valid) {
+          return { value: checked.value, attempts: attempt, coercions: checked.coercions };
+        }
+        lastErrors = checked.errors;
+        MetricsService.recordParseFailure(schemaName, "schema_mismatch");
+      } else {
+        lastErrors = [`$: response is not valid JSON (${parsed.error})`];
+        MetricsService.recordParseFailure(schemaName, "invalid_json");
+      }
+
+      Logger.warn("Model output failed schema validation", { schemaName, attempt, errors: lastErrors.slice(0, 5) });
+      conversation = [
+        ...messages,
+        { role: "assistant", content: lastContent || "" },
+        {
+          role: "user",
+          content: `Your previous response did not match the required JSON schema:\n- ${lastErrors.slice(0, 20).join("\n- ")}\n\nReturn the complete corrected JSON object only, with numbers (no units) for every quantity.`
+        }
+      ];
+    }
+
+    MetricsService.recordOutputRejected(schemaName);
+    throw new SchemaValidationError(`${schemaName} did not match the expected schema`, lastErrors, lastContent);
   }
 }
@@ -0,0 +1,114 @@
+import config from "../config.js";
+import { ImageAnalysisService, ComprehensiveAnalysisService } from "./analysis.js";
+import { SchemaValidationError } from "./validation.js";
+import { CacheService } from "./cache.js";
+import { EnrichmentService } from "./enrichment.js";
+import { ProfileMatchService } from "./profileMatch.js";
+import { NutritionLabelService } from "./nutritionLabel.js";
+import { CostService } from "./costs.js";
+import { Tracer } from "./tracing.js";
+import { MetricsService } from "./metrics.js";
+
+export const PIPELINE_STAGES = ["vision", "search", "scrape", "synthesis", "enrichment", "done"];
+
+export class AnalysisPipelineService {
+  // Spend is per run rather than cached, so a cache hit reports what this request cost (usually nothing)
+  static async run(imageUrl, options = {}) {
+    const { result, costs } = await Tracer.span("pipeline.run", { "pipeline.image_source": options.imageSource || "url", "pipeline.cache_mode": options.cacheMode || "default" }, async (span) => {
+      const tracked = await CostService.track(() => this.analyze(imageUrl, options));
+      span.setAttributes({ "pipeline.cost_usd": tracked.costs.cost_usd, "pipeline.llm_calls": tracked.costs.llm_calls });
+      return tracked;
+    });
+    return { ...result, debug: { ...result.debug, costs } };
+  }
+
+  static async analyze(imageUrl, options = {}) {
+    const { imageSource = "url", onStage = () => {}, onEvent = () => {}, cacheMode = "default", profile = null, regime = config.nutrition.regime } = options;
+    const cacheStatus = {};
+    // Label regime and profile verdicts vary per request, so they are applied after caching and never stored
+    const finalize = (response) => {
+      const labelled = { ...response, nutrition: NutritionLabelService.normalize(response, { regime }) };
+      return profile ? { ...labelled, profile_match: ProfileMatchService.match(profile, labelled) } : labelled;
+    };
+
+    const imageKey = CacheService.imageKey(imageUrl);
+    const cachedResult = await CacheService.get("image", imageKey, cacheMode);
+    cacheStatus.image = CacheService.outcome(cachedResult, cacheMode);
+    Tracer.current()?.setAttributes({ "cache.image": cacheStatus.image });
+    if (cachedResult) {
+      onEvent("cache", { layer: "image", status: "hit" });
+      onStage("done");
+      return finalize({ ...cachedResult, debug: { ...cachedResult.debug, imageSource, cache: cacheStatus } });
+    }
+
+    onStage("vision");
+    const productData = await MetricsService.stage("vision", {}, () => ImageAnalysisService.analyzeProductImage(imageUrl));
+    onEvent("vision", productData);
+
+    const productKey = CacheService.productKey(productData);
+    const cachedProduct = await CacheService.get("product", productKey, cacheMode);
+    cacheStatus.product = productKey ? CacheService.outcome(cachedProduct, cacheMode) : "skipped";
+    if (cachedProduct) {
+      onEvent("cache", { layer: "product", status: "hit", key: productKey });
+      onStage("done");
+      const response = { ...cachedProduct, debug: { ...cachedProduct.debug, imageSource, cache: cacheStatus } };
+      await CacheService.set("image", imageKey, cachedProduct, cacheMode);
+      return finalize(response);
+    }
+
+    const productRecord = await ImageAnalysisService.lookupProduct(productData);
+    onEvent("product_lookup", { hit: Boolean(productRecord), barcode: productRecord?.barcode || null });
+
+    let primaryQuery = null;
+    let searchResults = [];
+    if (!productRecord) {
+      onStage("search");
+      primaryQuery = ImageAnalysisService.buildSearchQuery(productData);
+      searchResults = await MetricsService.stage("search", { "search.query": primaryQuery }, () => ImageAnalysisService.performWebSearch(primaryQuery, productData, { cacheMode }));
+      onEvent("search", {
+        query: primaryQuery,
+        count: searchResults.length,
+        results: searchResults.slice(0, 6).map(r => ({ title: r.title, url: r.link, tier: r.trust?.tier || null }))
+      });
+    }
+
+    const onScrape = (page, searchResult) => {
+      onEvent("scrape", page
+        ? { url: page.url, title: page.title, success: true, length: page.content.length, excerpt: page.content.slice(0, 300), structured: page.structured?.sources || [] }
+        : { url: searchResult.link, title: searchResult.title, success: false });
+    };
+
+    let comprehensiveResult;
+    try {
+      comprehensiveResult = await MetricsService.stage("synthesis", { "pipeline.product_lookup": productRecord ? "hit" : "miss", "search.results": searchResults.length }, () =>
+        ComprehensiveAnalysisService.analyzeComprehensive(productData, searchResults, { productRecord, onStage, onScrape, cacheMode }));
+    } catch (error) {
+      if (error instanceof SchemaValidationError) {
+        error.context = { productData, searchQuery: primaryQuery, searchResults: searchResults.slice(0, 6) };
+      }
+      throw error;
+    }
+
+    let enrichment = null;
+    if (config.enrichment.stages.length > 0) {
+      onStage("enrichment");
+      enrichment = await MetricsService.stage("enrichment", { "enrichment.stages": config.enrichment.stages.join(",") }, () => EnrichmentService.run(comprehensiveResult, { cacheMode, onEvent }));
+    }
+
+    const result = {
+      ...comprehensiveResult,
+      ...(enrichment ? { enrichment } : {}),
+      debug: {
+        ...comprehensiveResult.debug,
+        searchQuery: primaryQuery,
+        productLookup: productRecord ? "hit" : "miss",
+        searchResultsCount: searchResults.length
+      }
+    };
+    await CacheService.set("product", productKey, result, cacheMode);
+    await CacheService.set("image", imageKey, result, cacheMode);
+
+    onStage("done");
+    return finalize({ ...result, debug: { ...result.debug, imageSource, cache: cacheStatus } });
+  }
+}
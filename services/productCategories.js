@@ -0,0 +1,34 @@
+import { readFileSync } from "fs";
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+
+const productCategories = JSON.parse(readFileSync(new URL("./data/productCategories.json", import.meta.url), "utf8"));
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Longest keyword wins so "peanut butter" files under spreads rather than cooking fats
+const keywordPatterns = Object.entries(productCategories.categories)
+  .flatMap(([category, { keywords }]) => keywords.map(keyword => ({ category, keyword })))
+  .sort((a, b) => b.keyword.length - a.keyword.length)
+  .map(item => ({ ...item, pattern: new RegExp(`(?<![a-z0-9])${escapeRegExp(item.keyword)}(?![a-z0-9])`) }));
+
+export class ProductCategoryService {
+  static get version() {
+    return productCategories.version;
+  }
+
+  static get categories() {
+    return productCategories.categories;
+  }
+
+  static classify(texts) {
+    const text = IngredientTaxonomyService.normalize(texts.filter(Boolean).join(" | "));
+    if (!text) return null;
+    return keywordPatterns.find(({ pattern }) => pattern.test(text))?.category || null;
+  }
+
+  static isBeverage(category) {
+    return Boolean(category && productCategories.categories[category]?.beverage);
+  }
+}
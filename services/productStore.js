@@ -0,0 +1,214 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "../config.js";
+import { BarcodeService } from "./barcode.js";
+import { SchemaValidator } from "./validation.js";
+import { PRODUCT_RECORD_SCHEMA } from "./schemas.js";
+import { ProductSummaryService } from "./productSummary.js";
+import { Logger } from "./logger.js";
+
+const STORE_VERSION = 1;
+
+// nutrition_facts field -> [Open Food Facts nutriment key, multiplier from OFF unit]
+const NUTRIENT_MAP = {
+  calories: ["energy-kcal", 1],
+  total_fat: ["fat", 1],
+  saturated_fat: ["saturated-fat", 1],
+  trans_fat: ["trans-fat", 1],
+  cholesterol: ["cholesterol", 1000],
+  sodium: ["sodium", 1000],
+  total_carbohydrate: ["carbohydrates", 1],
+  dietary_fiber: ["fiber", 1],
+  total_sugars: ["sugars", 1],
+  added_sugars: ["added-sugars", 1],
+  protein: ["proteins", 1],
+  vitamin_d: ["vitamin-d", 1000000],
+  calcium: ["calcium", 1000],
+  iron: ["iron", 1000],
+  potassium: ["potassium", 1000]
+};
+
+let storePromise = null;
+let saveChain = Promise.resolve();
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const num = typeof value === "number" ? value : parseFloat(String(value).replace(",", "."));
+  return Number.isFinite(num) ? num : null;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function parseGrams(text) {
+  const match = (text || "").toString().match(/([\d.,]+)\s*(g|gr|grams?|ml)\b/i);
+  return match ? Math.round(toNumber(match[1]) || 0) : 0;
+}
+
+function splitList(text) {
+  if (Array.isArray(text)) return text.map(item => item.toString().trim()).filter(Boolean);
+  return (text || "")
+    .toString()
+    .split(/,(?![^()]*\))/)
+    .map(item => item.replace(/[_*]/g, "").replace(/\.$/, "").trim())
+    .filter(Boolean);
+}
+
+function parseDelimited(text) {
+  const firstLine = text.slice(0, text.indexOf("\n") === -1 ? text.length : text.indexOf("\n"));
+  const delimiter = firstLine.includes("\t") ? "\t" : ",";
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(cell => cell !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(cell => cell !== "")) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  return body.map(cells => Object.fromEntries(header.map((key, i) => [key.trim(), cells[i] ?? ""])));
+}
+
+export class ProductStore {
+  static fromOpenFoodFacts(raw) {
+    const barcode = BarcodeService.parse(raw.code ?? raw.barcode);
+    if (!barcode.valid) return null;
+
+    const nutriments = raw.nutriments || raw;
+    const servingSize = toNumber(raw.serving_quantity) ?? parseGrams(raw.serving_size);
+    const hasServing = toNumber(nutriments["energy-kcal_serving"]) !== null;
+    const basis = hasServing ? "serving" : "100g";
+
+    const nutritionFacts = { serving_size: hasServing ? Math.round(servingSize || 0) : 100 };
+    for (const [field, [key, multiplier]] of Object.entries(NUTRIENT_MAP)) {
+      const value = toNumber(nutriments[`${key}_${basis}`]);
+      nutritionFacts[field] = value === null ? 0 : round(value * multiplier);
+    }
+
+    return {
+      barcode: barcode.gtin,
+      product_name: raw.product_name || null,
+      brand: splitList(raw.brands)[0] || null,
+      net_weight: toNumber(raw.product_quantity) !== null ? Math.round(toNumber(raw.product_quantity)) : parseGrams(raw.quantity),
+      nutrition_basis: basis,
+      nutrition_facts: nutritionFacts,
+      ingredients: splitList(raw.ingredients_text),
+      allergens: splitList(raw.allergens_tags || raw.allergens).map(tag => tag.replace(/^\w{2}:/, "")),
+      categories: splitList(raw.categories_tags || raw.categories).map(tag => tag.replace(/^\w{2}:/, "").replace(/-/g, " ")),
+      source: raw.source || "open_food_facts",
+      updated_at: raw.last_modified_t ? new Date(Number(raw.last_modified_t) * 1000).toISOString() : new Date().toISOString()
+    };
+  }
+
+  // Every stored row goes through here so lookups by any barcode form hit and list fields are always arrays
+  static normalize(row) {
+    const record = row.nutrition_facts && row.barcode ? row : this.fromOpenFoodFacts(row);
+    if (!record) return null;
+
+    const barcode = BarcodeService.parse(record.barcode);
+    const { value, errors } = SchemaValidator.coerce(record, PRODUCT_RECORD_SCHEMA);
+    if (!barcode.valid || errors.length > 0) return null;
+    const normalized = { ...value, barcode: barcode.gtin, updated_at: value.updated_at || new Date().toISOString() };
+    return { ...normalized, summary: ProductSummaryService.summarize(normalized) };
+  }
+
+  static parseDump(text, filename = "") {
+    const trimmed = text.trim();
+    if (filename.endsWith(".csv") || filename.endsWith(".tsv")) return parseDelimited(trimmed);
+    if (trimmed.startsWith("[")) return JSON.parse(trimmed);
+    if (trimmed.startsWith("{")) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        return parsed.products ? Object.values(parsed.products) : [parsed];
+      } catch {
+        return trimmed.split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+      }
+    }
+    return parseDelimited(trimmed);
+  }
+
+  static async load() {
+    if (!storePromise) {
+      storePromise = (async () => {
+        const products = new Map();
+        try {
+          const data = JSON.parse(await fs.readFile(config.products.dbPath, "utf8"));
+          for (const record of Object.values(data.products || {})) products.set(record.barcode, { ...record, summary: ProductSummaryService.of(record) });
+        } catch (error) {
+          if (error.code !== "ENOENT") Logger.warn("Failed to load product store", { error: error.message });
+        }
+        return products;
+      })();
+    }
+    return storePromise;
+  }
+
+  static save() {
+    // Serialise writes so an import and an upsert never interleave on the temp file
+    saveChain = saveChain.catch(() => {}).then(async () => {
+      const products = await this.load();
+      await fs.mkdir(path.dirname(config.products.dbPath), { recursive: true });
+      const tmpPath = `${config.products.dbPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ version: STORE_VERSION, products: Object.fromEntries(products) }));
+      await fs.rename(tmpPath, config.products.dbPath);
+    });
+    return saveChain;
+  }
+
+  static async importDump(filePath) {
+    const rows = this.parseDump(await fs.readFile(filePath, "utf8"), filePath.toLowerCase());
+    const products = await this.load();
+    let imported = 0;
+    let skipped = 0;
+
+    for (const row of rows) {
+      const record = this.normalize(row);
+      if (!record) { skipped++; continue; }
+      products.set(record.barcode, record);
+      imported++;
+    }
+
+    await this.save();
+    return { imported, skipped, total: products.size };
+  }
+
+  static async upsert(record) {
+    const products = await this.load();
+    record = { ...record, summary: ProductSummaryService.summarize(record) };
+    products.set(record.barcode, record);
+    await this.save();
+    return record;
+  }
+
+  static async all() {
+    return [...(await this.load()).values()];
+  }
+
+  static async findByBarcode(code) {
+    const barcode = BarcodeService.parse(code);
+    if (!barcode.valid) return null;
+    const products = await this.load();
+    return products.get(barcode.gtin) || null;
+  }
+}
@@ -0,0 +1,48 @@
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+import { TestosteroneScoreService } from "./scoring.js";
+import { ProductCategoryService } from "./productCategories.js";
+import { NUTRIENT_FIELDS } from "./schemas.js";
+
+function toNumber(value) {
+  const num = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : 0;
+}
+
+function known(text) {
+  const value = (text || "").toString().trim();
+  return value && value.toLowerCase() !== "unknown" ? value : null;
+}
+
+// Category, per-100 g nutrients and score of a store record or scan, worked out when it is written
+// so ranking alternatives does not rerun the taxonomy and scoring over every stored product
+export class ProductSummaryService {
+  static get version() {
+    return `${IngredientTaxonomyService.version}/${ProductCategoryService.version}`;
+  }
+
+  static summarize(item) {
+    const info = item.product_info || item;
+    const name = known(info.product_name);
+    const facts = item.nutrition_facts || {};
+    const servingSize = toNumber(facts.serving_size);
+    const per100g = Object.fromEntries(NUTRIENT_FIELDS.map(field =>
+      [field, servingSize > 0 ? (toNumber(facts[field]) * 100) / servingSize : toNumber(facts[field])]));
+
+    const disruptors = IngredientTaxonomyService.match(item.ingredients || []);
+    const scoring = TestosteroneScoreService.score({ nutritionFacts: facts, disruptors });
+
+    return {
+      version: this.version,
+      category: ProductCategoryService.classify([...(item.categories || []), name, ...(name ? [] : info.visible_text || [])]),
+      per100g,
+      disruptors,
+      score: scoring.score,
+      label: scoring.label
+    };
+  }
+
+  // Summaries written under an older taxonomy or category list are recomputed
+  static of(item) {
+    return item.summary?.version === this.version ? item.summary : this.summarize(item);
+  }
+}
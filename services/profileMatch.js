@@ -0,0 +1,210 @@
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+import { EnrichmentService } from "./enrichment.js";
+
+export const VERDICTS = ["safe", "caution", "avoid"];
+
+const NON_WHEAT_FLOURS = [
+  "buckwheat", "rice", "brown rice", "corn", "maize", "almond", "coconut", "oat", "potato", "sweet potato", "chickpea", "gram",
+  "tapioca", "cassava", "soy", "soya", "sorghum", "pea", "millet", "teff", "quinoa", "amaranth", "lentil", "bean", "fava bean",
+  "banana", "arrowroot", "chestnut", "hazelnut", "peanut", "hemp", "flaxseed", "lupin", "sunflower seed", "cauliflower"
+];
+
+// Big-9 allergen -> label names that declare it, plus look-alike phrases that do not
+export const ALLERGEN_TERMS = {
+  milk: {
+    terms: ["milk", "milk powder", "milk solids", "whey", "casein", "caseinate", "butter", "butterfat", "buttermilk", "cream", "cheese", "lactose", "yogurt", "yoghurt", "ghee", "curd", "kefir", "lactalbumin", "lactoglobulin", "milkfat", "dairy"],
+    exceptions: ["coconut milk", "almond milk", "oat milk", "soy milk", "soya milk", "rice milk", "cashew milk", "cocoa butter", "peanut butter", "shea butter", "nut butter", "almond butter", "cream of tartar", "dairy-free", "dairy free"]
+  },
+  eggs: {
+    terms: ["egg", "eggs", "egg white", "egg yolk", "albumen", "mayonnaise", "meringue", "lysozyme", "e1105"],
+    exceptions: ["eggplant"]
+  },
+  fish: {
+    terms: ["fish", "anchovy", "anchovies", "cod", "salmon", "tuna", "tilapia", "pollock", "sardine", "sardines", "haddock", "trout", "mackerel", "herring", "bass", "fish sauce", "fish oil", "fish gelatin", "isinglass"],
+    exceptions: ["shellfish"]
+  },
+  shellfish: {
+    terms: ["shellfish", "crustacean", "crustaceans", "shrimp", "prawn", "prawns", "crab", "lobster", "crayfish", "krill", "scallop", "scallops", "clam", "clams", "mussel", "mussels", "oyster", "oysters"],
+    exceptions: []
+  },
+  tree_nuts: {
+    terms: ["tree nut", "tree nuts", "nuts", "almond", "almonds", "hazelnut", "hazelnuts", "filbert", "walnut", "walnuts", "cashew", "cashews", "pecan", "pecans", "pistachio", "pistachios", "macadamia", "brazil nut", "brazil nuts", "pine nut", "pine nuts", "praline", "marzipan", "gianduja"],
+    exceptions: ["nutmeg", "butternut", "peanuts", "water chestnut"]
+  },
+  peanuts: {
+    terms: ["peanut", "peanuts", "groundnut", "groundnuts", "arachis", "peanut butter", "peanut oil"],
+    exceptions: []
+  },
+  wheat: {
+    terms: ["wheat", "flour", "semolina", "durum", "spelt", "farina", "couscous", "bulgur", "seitan", "kamut", "einkorn", "emmer", "triticale", "gluten"],
+    // Whole "<grain> flour" phrases, so removing the grain never leaves a bare "flour" behind
+    exceptions: [
+      "buckwheat", ...NON_WHEAT_FLOURS.flatMap(grain => [`${grain} flour`, `${grain} flours`]),
+      "gluten-free", "gluten free"
+    ]
+  },
+  soy: {
+    terms: ["soy", "soya", "soybean", "soybeans", "tofu", "edamame", "miso", "tempeh", "shoyu", "tamari", "natto"],
+    exceptions: []
+  },
+  sesame: {
+    terms: ["sesame", "sesame seed", "sesame seeds", "sesame oil", "tahini", "benne", "gingelly"],
+    exceptions: []
+  }
+};
+
+const PRECAUTIONARY_PATTERN = /(may contain|may also contain|may be present|traces? of|made (?:in|on) (?:a )?(?:facility|equipment|line)|produced in a (?:facility|factory)|processed in a facility|manufactured (?:in|on) (?:a )?(?:facility|shared)|shared (?:equipment|facility|line)|cross[- ]contact|cross[- ]contamination)/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function phrasePattern(phrases, flags = "i") {
+  return new RegExp(`(?<![a-z0-9])(${[...phrases].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})(?![a-z0-9])`, flags);
+}
+
+const allergenPatterns = Object.fromEntries(Object.entries(ALLERGEN_TERMS).map(([allergen, { terms, exceptions }]) => [
+  allergen,
+  { terms: phrasePattern(terms), exceptions: exceptions.length > 0 ? phrasePattern(exceptions, "gi") : null }
+]));
+
+function textOf(item) {
+  return (typeof item === "string" ? item : item?.text || item?.name || item?.allergen || "").trim();
+}
+
+function toNumber(value) {
+  const num = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+export class ProfileMatchService {
+  static findAllergen(text, allergen) {
+    const { terms, exceptions } = allergenPatterns[allergen];
+    const normalized = IngredientTaxonomyService.normalize(text);
+    const cleaned = exceptions ? normalized.replace(exceptions, " ") : normalized;
+    return cleaned.match(terms)?.[1] || null;
+  }
+
+  // Splits label text into definite ingredients and precautionary ("may contain") statements
+  static statements(result) {
+    const definite = [];
+    const precautionary = [];
+
+    for (const item of (result.ingredients || []).map(textOf).filter(Boolean)) {
+      const match = item.match(PRECAUTIONARY_PATTERN);
+      if (match) {
+        if (match.index > 0) definite.push({ text: item.slice(0, match.index), source: "ingredients" });
+        precautionary.push({ text: item.slice(match.index), source: "ingredients" });
+      } else {
+        definite.push({ text: item, source: "ingredients" });
+      }
+    }
+
+    for (const item of (result.allergens || []).map(textOf).filter(Boolean)) {
+      (PRECAUTIONARY_PATTERN.test(item) ? precautionary : definite).push({ text: item, source: "declared_allergens" });
+    }
+
+    for (const line of (result.product_info?.visible_text || []).map(textOf)) {
+      const match = line.match(PRECAUTIONARY_PATTERN);
+      if (match) precautionary.push({ text: line.slice(match.index), source: "label_text" });
+    }
+
+    for (const allergen of result.enrichment?.allergens || []) {
+      const entry = { text: allergen.allergen, source: "allergen_enrichment", detail: allergen.description };
+      (allergen.risk === "High" ? definite : precautionary).push(entry);
+    }
+
+    return { definite, precautionary };
+  }
+
+  static allergenTriggers(profile, statements) {
+    const triggers = [];
+    for (const allergen of profile.allergens) {
+      for (const [severity, list] of [["avoid", statements.definite], ["caution", statements.precautionary]]) {
+        for (const statement of list) {
+          const term = this.findAllergen(statement.text, allergen);
+          if (!term) continue;
+          triggers.push({ type: "allergen", rule: allergen, severity, matched: term, text: statement.text, source: statement.source });
+        }
+      }
+    }
+    return triggers;
+  }
+
+  static avoidTriggers(profile, statements) {
+    if (profile.avoid.length === 0) return [];
+    const triggers = [];
+    for (const term of profile.avoid) {
+      const pattern = phrasePattern([IngredientTaxonomyService.normalize(term)]);
+      for (const [severity, list] of [["avoid", statements.definite], ["caution", statements.precautionary]]) {
+        for (const statement of list) {
+          if (statement.source === "allergen_enrichment") continue;
+          if (pattern.test(IngredientTaxonomyService.normalize(statement.text))) {
+            triggers.push({ type: "avoid", rule: term, severity, matched: term, text: statement.text, source: statement.source });
+          }
+        }
+      }
+    }
+    return triggers;
+  }
+
+  static dietTriggers(profile, result, statements) {
+    const triggers = [];
+    const facts = result.nutrition_facts || {};
+    const flagDiets = profile.diets.filter(diet => ["vegan", "vegetarian", "gluten_free", "dairy_free"].includes(diet));
+
+    if (flagDiets.length > 0) {
+      // Precautionary statements are excluded so "may contain milk" does not fail a vegan profile outright
+      const textsFrom = (source) => statements.definite.filter(s => s.source === source).map(s => s.text);
+      const flags = EnrichmentService.dietaryFlags(textsFrom("ingredients"), textsFrom("declared_allergens"));
+      for (const diet of flagDiets) {
+        if (flags[diet] === null) {
+          triggers.push({ type: "diet", rule: diet, severity: "caution", matched: null, text: "Ingredient list unavailable", source: "ingredients" });
+        } else if (flags[diet] === false) {
+          for (const reason of flags.reasons[diet] || []) {
+            triggers.push({ type: "diet", rule: diet, severity: "avoid", matched: reason.replace(/^allergen: /, ""), text: reason, source: reason.startsWith("allergen: ") ? "declared_allergens" : "ingredients" });
+          }
+        }
+      }
+    }
+
+    // Per-serving thresholds: over the limit is "avoid" for keto, "caution" for sodium until it reaches
+    // the FDA "high" level (20% DV, roughly 3.3x the 140 mg "low sodium" claim)
+    if (profile.diets.includes("keto")) {
+      const carbs = toNumber(facts.total_carbohydrate);
+      if (carbs !== null) {
+        const netCarbs = Math.max(0, carbs - (toNumber(facts.dietary_fiber) || 0));
+        const limit = profile.limits.net_carbs_g;
+        if (netCarbs > limit / 2) {
+          triggers.push({ type: "nutrient", rule: "keto", severity: netCarbs > limit ? "avoid" : "caution", matched: "net_carbs_g", value: Math.round(netCarbs * 10) / 10, limit, source: "nutrition_facts" });
+        }
+      }
+    }
+
+    if (profile.diets.includes("low_sodium")) {
+      const sodium = toNumber(facts.sodium);
+      const limit = profile.limits.sodium_mg;
+      if (sodium !== null && sodium > limit) {
+        triggers.push({ type: "nutrient", rule: "low_sodium", severity: sodium > limit * 3.3 ? "avoid" : "caution", matched: "sodium_mg", value: sodium, limit, source: "nutrition_facts" });
+      }
+    }
+
+    return triggers;
+  }
+
+  static match(profile, result) {
+    const statements = this.statements(result);
+    const triggers = [
+      ...this.allergenTriggers(profile, statements),
+      ...this.avoidTriggers(profile, statements),
+      ...this.dietTriggers(profile, result, statements)
+    ];
+
+    if (statements.definite.length === 0 && (profile.allergens.length > 0 || profile.avoid.length > 0)) {
+      triggers.push({ type: "unknown", rule: "ingredients", severity: "caution", matched: null, text: "Ingredient list unavailable; allergens could not be checked", source: "ingredients" });
+    }
+
+    const verdict = triggers.some(t => t.severity === "avoid") ? "avoid" : triggers.length > 0 ? "caution" : "safe";
+    return { profileId: profile.id, verdict, triggers };
+  }
+}
@@ -0,0 +1,102 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import config from "../config.js";
+import { SchemaValidator } from "./validation.js";
+import { PROFILE_SCHEMA } from "./schemas.js";
+import { Logger } from "./logger.js";
+
+const STORE_VERSION = 1;
+
+let storePromise = null;
+let saveChain = Promise.resolve();
+
+export class ProfileValidationError extends Error {
+  constructor(errors) {
+    super("Profile does not match the expected shape");
+    this.name = "ProfileValidationError";
+    this.errors = errors;
+  }
+}
+
+export class ProfileStore {
+  static async load() {
+    if (!storePromise) {
+      storePromise = (async () => {
+        const profiles = new Map();
+        try {
+          const data = JSON.parse(await fs.readFile(config.profiles.dbPath, "utf8"));
+          for (const profile of Object.values(data.profiles || {})) profiles.set(profile.id, profile);
+        } catch (error) {
+          if (error.code !== "ENOENT") Logger.warn("Failed to load profile store", { error: error.message });
+        }
+        return profiles;
+      })();
+    }
+    return storePromise;
+  }
+
+  static save() {
+    // Serialise writes so concurrent edits never interleave on the temp file
+    saveChain = saveChain.catch(() => {}).then(async () => {
+      const profiles = await this.load();
+      await fs.mkdir(path.dirname(config.profiles.dbPath), { recursive: true });
+      const tmpPath = `${config.profiles.dbPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ version: STORE_VERSION, profiles: Object.fromEntries(profiles) }, null, 2));
+      await fs.rename(tmpPath, config.profiles.dbPath);
+    });
+    return saveChain;
+  }
+
+  static validate(input) {
+    const { value, errors } = SchemaValidator.coerce(input || {}, PROFILE_SCHEMA);
+    if (errors.length > 0) throw new ProfileValidationError(errors);
+
+    return {
+      name: value.name.trim(),
+      allergens: [...new Set(value.allergens)],
+      diets: [...new Set(value.diets)],
+      avoid: [...new Set(value.avoid.map(item => item.trim().toLowerCase()).filter(Boolean))],
+      limits: value.limits
+    };
+  }
+
+  // Profiles belong to the API key that created them; other keys see them as missing
+  static owns(profile, apiKeyId) {
+    return (profile.apiKeyId ?? null) === (apiKeyId ?? null);
+  }
+
+  static async create(input, apiKeyId = null) {
+    const profiles = await this.load();
+    const now = new Date().toISOString();
+    const profile = { id: crypto.randomUUID(), ...this.validate(input), apiKeyId, createdAt: now, updatedAt: now };
+    profiles.set(profile.id, profile);
+    await this.save();
+    return profile;
+  }
+
+  static async update(id, input, apiKeyId = null) {
+    const profiles = await this.load();
+    const existing = profiles.get(id);
+    if (!existing || !this.owns(existing, apiKeyId)) return null;
+
+    const profile = { ...existing, ...this.validate({ ...existing, ...input }), updatedAt: new Date().toISOString() };
+    profiles.set(id, profile);
+    await this.save();
+    return profile;
+  }
+
+  static async remove(id, apiKeyId = null) {
+    const profiles = await this.load();
+    const existing = profiles.get(id);
+    const existed = Boolean(existing && this.owns(existing, apiKeyId)) && profiles.delete(id);
+    if (existed) await this.save();
+    return existed;
+  }
+
+  static async get(id, apiKeyId = null) {
+    if (!id) return null;
+    const profile = (await this.load()).get(id);
+    return profile && this.owns(profile, apiKeyId) ? profile : null;
+  }
+}
@@ -0,0 +1,160 @@
+import { BarcodeService } from "./barcode.js";
+import { ProductStore } from "./productStore.js";
+import { HistoryStore } from "./history.js";
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+import { ProductCategoryService } from "./productCategories.js";
+import { ProductSummaryService } from "./productSummary.js";
+
+export const RANKING_WEIGHTS = { improvement: 0.7, similarity: 0.3 };
+
+const SIMILARITY_FIELDS = ["calories", "protein", "total_fat", "total_carbohydrate", "total_sugars"];
+
+// Per-100 g changes worth mentioning; "lower" means a drop is the improvement
+const NUTRIENT_DIFFS = [
+  { field: "added_sugars", label: "added sugar", unit: "g", min: 1, better: "lower" },
+  { field: "total_sugars", label: "sugar", unit: "g", min: 2, better: "lower", unless: "added_sugars" },
+  { field: "saturated_fat", label: "saturated fat", unit: "g", min: 1, better: "lower" },
+  { field: "sodium", label: "sodium", unit: "mg", min: 50, better: "lower" },
+  { field: "protein", label: "protein", unit: "g", min: 2, better: "higher" },
+  { field: "dietary_fiber", label: "fiber", unit: "g", min: 1, better: "higher" }
+];
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function known(text) {
+  const value = (text || "").toString().trim();
+  return value && value.toLowerCase() !== "unknown" ? value : null;
+}
+
+export class RecommendationService {
+  // Store records and analysis results share one shape from here on
+  static describe(source, item) {
+    const info = item.product_info || item;
+    const name = known(info.product_name);
+    const brand = known(info.brand);
+    const barcode = BarcodeService.parse(info.barcode || info.barcode_or_upc);
+    const { category, per100g, disruptors, score, label } = ProductSummaryService.of(item);
+
+    return {
+      source,
+      key: barcode.valid ? barcode.gtin : `${(brand || "").toLowerCase()}|${(name || "").toLowerCase()}`,
+      name,
+      brand,
+      barcode: barcode.valid ? barcode.gtin : null,
+      category,
+      per100g,
+      disruptors,
+      score,
+      label
+    };
+  }
+
+  // Scans are only looked at for the caller's own user, never across users or API keys
+  static async userScans({ userId = null, apiKeyId = null } = {}) {
+    return userId ? HistoryStore.scansFor(userId, apiKeyId) : [];
+  }
+
+  static async findTarget(barcode, owner = {}) {
+    const record = await ProductStore.findByBarcode(barcode);
+    if (record) return this.describe("product_store", record);
+
+    const scans = (await this.userScans(owner))
+      .filter(scan => BarcodeService.parse(scan.product_info?.barcode_or_upc).gtin === barcode);
+    return scans.length > 0 ? this.describe("history", scans[scans.length - 1]) : null;
+  }
+
+  static async candidates(owner = {}) {
+    const byKey = new Map();
+    for (const record of await ProductStore.all()) {
+      const item = this.describe("product_store", record);
+      if (item.name) byKey.set(item.key, item);
+    }
+    // Newest scan of a product wins, and curated store records win over scans
+    for (const scan of [...(await this.userScans(owner))].reverse()) {
+      if (!scan.product_info?.product_name) continue;
+      const item = this.describe("history", scan);
+      if (item.name && !byKey.has(item.key)) byKey.set(item.key, item);
+    }
+    return [...byKey.values()];
+  }
+
+  static similarity(a, b) {
+    const scores = SIMILARITY_FIELDS.map(field => {
+      const x = Math.max(0, a.per100g[field] || 0);
+      const y = Math.max(0, b.per100g[field] || 0);
+      const larger = Math.max(x, y);
+      return larger === 0 ? 1 : 1 - Math.abs(x - y) / larger;
+    });
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  static improvements(target, candidate) {
+    const notes = [];
+    const candidateCategories = new Set(candidate.disruptors.map(d => d.category));
+    for (const category of new Set(target.disruptors.map(d => d.category))) {
+      if (!candidateCategories.has(category)) {
+        notes.push(`no ${IngredientTaxonomyService.taxonomy.categories[category].label.toLowerCase()}`);
+      }
+    }
+
+    const reported = new Set();
+    for (const { field, label, unit, min, better, unless } of NUTRIENT_DIFFS) {
+      if (unless && reported.has(unless)) continue;
+      const delta = (candidate.per100g[field] || 0) - (target.per100g[field] || 0);
+      if (Math.abs(delta) < min || (better === "lower" ? delta > 0 : delta < 0)) continue;
+      const amount = unit === "mg" ? Math.round(Math.abs(delta)) : round(Math.abs(delta));
+      notes.push(`${delta < 0 ? "−" : "+"}${amount} ${unit} ${label}`);
+      reported.add(field);
+    }
+    return notes;
+  }
+
+  static async alternatives(target, options = {}) {
+    const { limit = 5, userId = null, apiKeyId = null } = options;
+    const summary = {
+      name: target.name,
+      brand: target.brand,
+      barcode: target.barcode,
+      category: target.category,
+      category_label: target.category ? ProductCategoryService.categories[target.category].label : null,
+      score: target.score,
+      label: target.label,
+      disruptors: target.disruptors.map(d => d.name)
+    };
+    if (!target.category) {
+      return { target: summary, alternatives: [], candidatesConsidered: 0, reason: "Product category could not be determined" };
+    }
+
+    const sameCategory = (await this.candidates({ userId, apiKeyId }))
+      .filter(item => item.category === target.category && item.key !== target.key && !(target.barcode && item.barcode === target.barcode));
+
+    const alternatives = sameCategory
+      .filter(item => item.score > target.score && item.disruptors.length <= target.disruptors.length)
+      .map(item => {
+        const similarity = this.similarity(target, item);
+        const improvement = item.score - target.score;
+        const improvements = this.improvements(target, item);
+        return {
+          name: item.name,
+          brand: item.brand,
+          barcode: item.barcode,
+          source: item.source,
+          score: item.score,
+          label: item.label,
+          score_improvement: improvement,
+          disruptor_count: item.disruptors.length,
+          similarity: round(similarity, 2),
+          rank: round((improvement / 100) * RANKING_WEIGHTS.improvement + similarity * RANKING_WEIGHTS.similarity, 3),
+          improvements,
+          summary: improvements.join(", ") || `+${improvement} T-score`
+        };
+      })
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, limit);
+
+    return { target: summary, basis: "per_100g", alternatives, candidatesConsidered: sameCategory.length };
+  }
+}
@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+// Per-request state (the calling API key) that deep services read without it being threaded through every call
+export class RequestContext {
+  static run(context, fn) {
+    return storage.run(context, fn);
+  }
+
+  static get() {
+    return storage.getStore() || null;
+  }
+
+  // Callbacks fired from streams created before the request (multer, busboy) lose the context unless rebound
+  static bind(fn) {
+    return AsyncLocalStorage.bind(fn);
+  }
+}
@@ -0,0 +1,135 @@
+import config from "../config.js";
+import { SafeFetchService } from "./safeFetch.js";
+import { Logger } from "./logger.js";
+
+const robotsCache = new Map();
+const DISALLOW_ALL = [{ agents: ["*"], rules: [{ allow: false, pattern: "/", regex: /^\// }], crawlDelay: null }];
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^{}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+export class RobotsService {
+  static parse(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      const separator = line.indexOf(":");
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === "user-agent") {
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+      if ((field === "allow" || field === "disallow") && value) {
+        current.rules.push({ allow: field === "allow", pattern: value, regex: patternToRegExp(value) });
+      } else if (field === "crawl-delay") {
+        const delay = parseFloat(value);
+        if (Number.isFinite(delay)) current.crawlDelay = delay;
+      }
+    }
+
+    return groups;
+  }
+
+  // RFC 9309 matches the product token ("ExampleBot" in "ExampleBot/1.0 (+url)") case-insensitively, as a whole
+  static groupFor(groups, userAgent) {
+    const agent = userAgent.trim().split(/[\s/]/)[0].toLowerCase();
+    let best = null;
+    let bestLength = -1;
+
+    for (const group of groups) {
+      for (const name of group.agents) {
+        const matches = name === "*" || name === agent;
+        const length = name === "*" ? 0 : name.length;
+        if (matches && length > bestLength) {
+          best = group;
+          bestLength = length;
+        }
+      }
+    }
+    return best;
+  }
+
+  static isAllowed(groups, userAgent, pathWithQuery) {
+    const group = this.groupFor(groups, userAgent);
+    if (!group) return true;
+
+    let verdict = null;
+    for (const rule of group.rules) {
+      if (!rule.regex.test(pathWithQuery)) continue;
+      // Longest pattern wins; on a tie, allow wins
+      if (!verdict || rule.pattern.length > verdict.pattern.length || (rule.pattern.length === verdict.pattern.length && rule.allow)) {
+        verdict = rule;
+      }
+    }
+    return verdict ? verdict.allow : true;
+  }
+
+  static load(origin) {
+    const cached = robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.groups;
+
+    // Cache the in-flight promise so parallel scrapes of one host share a single fetch
+    const groups = this.fetchRules(origin);
+    robotsCache.delete(origin);
+    robotsCache.set(origin, { groups, expiresAt: Date.now() + config.scraper.robotsTtlSeconds * 1000 });
+    // Oldest origins go first once the cache is full
+    while (robotsCache.size > config.scraper.robotsCacheMaxEntries) {
+      robotsCache.delete(robotsCache.keys().next().value);
+    }
+    return groups;
+  }
+
+  // RFC 9309: a 4xx means there are no rules; a 5xx or an unreachable host means nothing may be crawled until the entry expires
+  static async fetchRules(origin) {
+    let groups = DISALLOW_ALL;
+    try {
+      const response = await SafeFetchService.fetch(`${origin}/robots.txt`, {
+        headers: { "User-Agent": config.scraper.userAgent },
+        purpose: "robots",
+        timeoutMs: config.scraper.robotsTimeoutMs,
+        maxBytes: 512 * 1024
+      });
+      if (response.ok) {
+        groups = this.parse(response.body.toString("utf8"));
+      } else if (response.status >= 400 && response.status < 500) {
+        groups = [];
+      }
+    } catch (error) {
+      Logger.warn("robots.txt unavailable", { origin, error: error.name === "AbortError" ? "timeout" : error.message });
+    }
+
+    return groups;
+  }
+
+  static async check(url) {
+    if (!config.scraper.respectRobots) return { allowed: true, crawlDelay: null };
+
+    const parsed = new URL(url);
+    const groups = await this.load(parsed.origin);
+    const group = this.groupFor(groups, config.scraper.userAgent);
+    return {
+      allowed: this.isAllowed(groups, config.scraper.userAgent, `${parsed.pathname}${parsed.search}`),
+      crawlDelay: group?.crawlDelay ?? null
+    };
+  }
+}
@@ -0,0 +1,258 @@
+import fs from "fs/promises";
+import path from "path";
+import net from "net";
+import dns from "dns/promises";
+import http from "http";
+import https from "https";
+import fetch from "node-fetch";
+import config from "../config.js";
+import { Logger } from "./logger.js";
+
+// Checked in order, so cloud metadata endpoints are reported as such rather than as link-local
+const BLOCKED_RANGES = [
+  ["metadata", "169.254.169.254", 32], ["metadata", "169.254.170.2", 32], ["metadata", "100.100.100.200", 32],
+  ["metadata", "168.63.129.16", 32], ["metadata", "fd00:ec2::254", 128],
+  ["unspecified", "0.0.0.0", 8], ["unspecified", "::", 128],
+  ["loopback", "127.0.0.0", 8], ["loopback", "::1", 128],
+  ["private", "10.0.0.0", 8], ["private", "172.16.0.0", 12], ["private", "192.168.0.0", 16],
+  ["private", "100.64.0.0", 10], ["private", "fc00::", 7], ["private", "fec0::", 10],
+  ["link_local", "169.254.0.0", 16], ["link_local", "fe80::", 10],
+  ["multicast", "224.0.0.0", 4], ["multicast", "ff00::", 8],
+  ["reserved", "192.0.0.0", 24], ["reserved", "192.0.2.0", 24], ["reserved", "198.18.0.0", 15],
+  ["reserved", "198.51.100.0", 24], ["reserved", "203.0.113.0", 24], ["reserved", "240.0.0.0", 4],
+  ["reserved", "2001:db8::", 32], ["reserved", "100::", 64]
+].map(([reason, address, prefix]) => {
+  const list = new net.BlockList();
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  list.addSubnet(address, prefix, family);
+  return { reason, family, list };
+});
+
+const METADATA_HOSTS = new Set(["metadata", "metadata.google.internal", "metadata.azure.internal", "instance-data", "instance-data.ec2.internal"]);
+
+const CONTENT_SIGNATURES = [
+  { mime: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mime: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: "image/webp", bytes: [0x52, 0x49, 0x46, 0x46], offset8: [0x57, 0x45, 0x42, 0x50] },
+  { mime: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mime: "application/gzip", bytes: [0x1f, 0x8b] },
+  { mime: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+export class BlockedUrlError extends Error {
+  constructor(reason, url, details = {}) {
+    super(`Request to ${url} blocked: ${reason}`);
+    this.name = "BlockedUrlError";
+    this.code = "url_blocked";
+    this.reason = reason;
+    this.url = url;
+    Object.assign(this, details);
+  }
+}
+
+// IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) addresses are judged by the IPv4 address inside
+function embeddedIPv4(address) {
+  const dotted = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return dotted[1];
+  const hex = address.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return null;
+  const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+}
+
+function allowEntries() {
+  return config.safeFetch.allowHosts.map(entry => {
+    const [address, prefix] = entry.split("/");
+    if (!net.isIP(address)) return { host: entry.toLowerCase() };
+    const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+    const list = new net.BlockList();
+    list.addSubnet(address, Number(prefix ?? (family === "ipv6" ? 128 : 32)), family);
+    return { list, family };
+  });
+}
+
+function pinnedAgent(protocol, address, family) {
+  // Connect to the address that passed the check so a second DNS answer cannot swap in a private one
+  const lookup = (hostname, options, callback) => {
+    if (options?.all) return callback(null, [{ address, family }]);
+    callback(null, address, family);
+  };
+  return protocol === "https:" ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+export class SafeFetchService {
+  static blockReason(address) {
+    const mapped = net.isIPv6(address) ? embeddedIPv4(address) : null;
+    if (mapped) return this.blockReason(mapped);
+    const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+    return BLOCKED_RANGES.find(range => range.family === family && range.list.check(address, family))?.reason || null;
+  }
+
+  static sniff(buffer) {
+    if (!buffer || buffer.length === 0) return null;
+    for (const sig of CONTENT_SIGNATURES) {
+      const head = sig.bytes.every((b, i) => buffer[i] === b);
+      const tail = !sig.offset8 || sig.offset8.every((b, i) => buffer[8 + i] === b);
+      if (head && tail) return sig.mime;
+    }
+
+    const text = buffer.subarray(0, 512).toString("utf8").replace(/^﻿/, "").trimStart().toLowerCase();
+    if (/^<(!doctype html|html|head|body|!--|script|meta|title|div|p[\s>])/.test(text)) return "text/html";
+    if (text.startsWith("<svg") || (text.startsWith("<?xml") && text.includes("<svg"))) return "image/svg+xml";
+    if (text.startsWith("<?xml")) return text.includes("xhtml") ? "application/xhtml+xml" : "application/xml";
+    if (/^[{[]/.test(text)) return "application/json";
+    // Mostly printable with no NUL bytes reads as text
+    return buffer.subarray(0, 512).includes(0) ? "application/octet-stream" : "text/plain";
+  }
+
+  static async audit(entry) {
+    const record = { at: new Date().toISOString(), event: "ssrf_blocked", ...entry };
+    Logger.warn("Blocked outbound request", record);
+    if (!config.safeFetch.auditLogPath) return;
+    try {
+      await fs.mkdir(path.dirname(config.safeFetch.auditLogPath), { recursive: true });
+      await fs.appendFile(config.safeFetch.auditLogPath, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      Logger.warn("Failed to write SSRF audit log", { error: error.message });
+    }
+  }
+
+  // Resolves the host and returns the address to connect to, or throws BlockedUrlError
+  static async check(url, options = {}) {
+    const { purpose = "fetch", hop = 0, via = null } = options;
+    const block = async (reason, details = {}) => {
+      await this.audit({ purpose, url: url.toString(), hop, via, host: details.host ?? null, address: details.address ?? null, reason });
+      throw new BlockedUrlError(reason, url.toString(), details);
+    };
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return block("invalid_url");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) return block("scheme_not_allowed", { host: parsed.hostname });
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    const allowed = allowEntries();
+    if (allowed.some(entry => entry.host === host)) {
+      if (net.isIP(host)) return { url: parsed, address: host, family: net.isIP(host) };
+      try {
+        const { address, family } = await dns.lookup(host);
+        return { url: parsed, address, family };
+      } catch (error) {
+        return block("dns_failure", { host, detail: error.code || error.message });
+      }
+    }
+    if (METADATA_HOSTS.has(host)) return block("metadata", { host });
+
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await dns.lookup(host, { all: true, verbatim: true });
+      } catch (error) {
+        return block("dns_failure", { host, detail: error.code || error.message });
+      }
+    }
+
+    // Every answer must be public; one private record is enough to refuse the host
+    for (const { address, family } of addresses) {
+      const ipFamily = family === 6 ? "ipv6" : "ipv4";
+      if (allowed.some(entry => entry.list && entry.family === ipFamily && entry.list.check(address, ipFamily))) continue;
+      const reason = this.blockReason(address);
+      if (reason) return block(reason, { host, address });
+    }
+
+    const [first] = addresses;
+    return { url: parsed, address: first.address, family: first.family };
+  }
+
+  static async readBody(response, maxBytes, signal) {
+    const chunks = [];
+    let received = 0;
+    let truncated = false;
+    if (maxBytes > 0 && response.body) {
+      for await (const chunk of response.body) {
+        if (signal?.aborted) break;
+        const remaining = maxBytes - received;
+        // Only flagged once bytes are dropped, so a body of exactly maxBytes is complete
+        if (chunk.length > remaining) {
+          chunks.push(chunk.subarray(0, remaining));
+          truncated = true;
+          break;
+        }
+        chunks.push(chunk);
+        received += chunk.length;
+      }
+    }
+    response.body?.destroy?.();
+    return { body: Buffer.concat(chunks), truncated };
+  }
+
+  static async fetch(url, options = {}) {
+    const {
+      method = "GET",
+      headers = {},
+      body,
+      purpose = "fetch",
+      timeoutMs = config.safeFetch.timeoutMs,
+      maxBytes = config.safeFetch.maxBytes,
+      maxRedirects = config.safeFetch.maxRedirects
+    } = options;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const redirects = [];
+    let current = url;
+    let currentMethod = method;
+    let currentBody = body;
+
+    try {
+      for (;;) {
+        const target = await this.check(current, { purpose, hop: redirects.length, via: redirects.length > 0 ? url.toString() : null });
+        const response = await fetch(target.url.toString(), {
+          method: currentMethod,
+          headers,
+          body: currentBody,
+          redirect: "manual",
+          agent: pinnedAgent(target.url.protocol, target.address, target.family),
+          signal: controller.signal
+        });
+
+        const location = response.headers.get("location");
+        if (response.status >= 300 && response.status < 400 && location) {
+          response.body?.destroy?.();
+          if (redirects.length >= maxRedirects) {
+            throw new Error(`Too many redirects (more than ${maxRedirects})`);
+          }
+          // Each hop is resolved and checked again before it is followed
+          current = new URL(location, target.url).toString();
+          redirects.push(current);
+          if (response.status === 303 || ((response.status === 301 || response.status === 302) && currentMethod === "POST")) {
+            currentMethod = "GET";
+            currentBody = undefined;
+          }
+          continue;
+        }
+
+        const { body: content, truncated } = await this.readBody(response, maxBytes, controller.signal);
+        return {
+          url: target.url.toString(),
+          status: response.status,
+          ok: response.ok,
+          headers: response.headers,
+          contentType: (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase() || null,
+          sniffedType: this.sniff(content),
+          body: content,
+          truncated,
+          redirects
+        };
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
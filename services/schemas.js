@@ -0,0 +1,271 @@
+const number = { type: "number", minimum: 0, default: 0 };
+const integer = { type: "integer", minimum: 0, default: 0 };
+const stringList = { type: "array", items: { type: "string" }, default: [] };
+const labelText = { type: ["string", "null"], default: null };
+
+// Units follow the US label: energy in kcal, macros in g, cholesterol/sodium/minerals in mg, vitamin D in mcg
+const nutrientValues = {
+  calories: number,
+  total_fat: number,
+  saturated_fat: number,
+  trans_fat: number,
+  cholesterol: number,
+  sodium: number,
+  total_carbohydrate: number,
+  dietary_fiber: number,
+  total_sugars: number,
+  added_sugars: number,
+  protein: number,
+  vitamin_d: number,
+  calcium: number,
+  iron: number,
+  potassium: number
+};
+
+export const PRODUCT_DATA_SCHEMA = {
+  type: "object",
+  properties: {
+    product_name: { type: ["string", "null"], default: null },
+    brand: { type: ["string", "null"], default: null },
+    net_weight: integer,
+    net_weight_text: labelText,
+    barcode_or_upc: { type: ["string", "null"], default: null },
+    visible_text: stringList,
+    confidence: { type: "string", enum: ["high", "medium", "low"], default: "low" }
+  }
+};
+
+// Rows kept by ProductStore, whether converted from Open Food Facts or imported already in this shape
+export const PRODUCT_RECORD_SCHEMA = {
+  type: "object",
+  required: ["barcode", "nutrition_facts"],
+  properties: {
+    barcode: { type: "string" },
+    product_name: { type: ["string", "null"], default: null },
+    brand: { type: ["string", "null"], default: null },
+    net_weight: integer,
+    nutrition_basis: { type: "string", enum: ["serving", "100g"], default: "serving" },
+    nutrition_facts: {
+      type: "object",
+      properties: {
+        serving_size: integer,
+        ...nutrientValues
+      }
+    },
+    ingredients: stringList,
+    allergens: stringList,
+    categories: stringList,
+    source: { type: "string", default: "import" },
+    updated_at: { type: ["string", "null"], default: null }
+  }
+};
+
+export const COMPREHENSIVE_RESULT_SCHEMA = {
+  type: "object",
+  required: ["product_info", "nutrition_facts"],
+  properties: {
+    product_info: {
+      type: "object",
+      properties: {
+        product_name: { type: "string", default: "Unknown" },
+        brand: { type: "string", default: "Unknown" },
+        net_weight: integer,
+        net_weight_text: labelText,
+        barcode_or_upc: { type: ["string", "null"], default: null },
+        visible_text: stringList
+      }
+    },
+    nutrition_facts: {
+      type: "object",
+      properties: {
+        serving_size: integer,
+        serving_size_text: labelText,
+        ...nutrientValues
+      }
+    },
+    ingredients: {
+      type: "array",
+      default: [],
+      items: {
+        anyOf: [
+          { type: "string" },
+          {
+            type: "object",
+            required: ["text"],
+            properties: {
+              text: { type: "string" },
+              testosterone_impact: { type: "string", enum: ["positive", "neutral", "negative"], default: "neutral" },
+              notes: { type: "string", default: "" }
+            }
+          }
+        ]
+      }
+    },
+    allergens: stringList,
+    seed_oils: stringList,
+    processed_profile: {
+      type: "object",
+      default: {},
+      properties: {
+        score: number,
+        level: { type: "string", enum: ["Low", "Medium", "High"], default: "Low" },
+        added_synthetic_sugars: stringList,
+        additives: stringList,
+        refined_carbs: stringList
+      }
+    },
+    estrogenic_compounds: stringList,
+    microplastics: stringList,
+    // Recomputed by TestosteroneScoreService after validation, so only the shape is checked here
+    t_score_impact: {
+      type: ["object", "null"],
+      default: {},
+      properties: {
+        label: labelText,
+        score_perc: { type: ["number", "null"], default: null },
+        macro_balance: labelText,
+        hormone_disruptor: { type: ["integer", "null"], default: null }
+      }
+    },
+    macros: {
+      type: "object",
+      default: {},
+      properties: {
+        protein_g: number,
+        carbs: {
+          type: "object",
+          default: {},
+          properties: { fiber_g: number, sugar_g: number, added_sugar_g: number }
+        },
+        fats: {
+          type: "object",
+          default: {},
+          properties: { saturated_g: number, trans_g: number }
+        },
+        cholesterol_mg: number
+      }
+    },
+    sources: { type: "array", default: [] }
+  }
+};
+
+export const NUTRIENT_FIELDS = Object.keys(nutrientValues);
+
+const mealItem = {
+  type: "object",
+  required: ["name", "portion_grams"],
+  properties: {
+    name: { type: "string" },
+    portion_grams: { type: "number", minimum: 0 },
+    confidence: { type: "string", enum: ["high", "medium", "low"], default: "low" },
+    ingredients: stringList,
+    nutrition_per_100g: { type: "object", properties: nutrientValues }
+  }
+};
+
+export const MEAL_ANALYSIS_SCHEMA = {
+  type: "object",
+  required: ["items"],
+  properties: {
+    meal_name: { type: "string", default: "Meal" },
+    items: {
+      type: "array",
+      items: { ...mealItem, required: [...mealItem.required, "nutrition_per_100g"] }
+    },
+    notes: { type: "string", default: "" }
+  }
+};
+
+// Each item without nutrition_per_100g costs a model call, so a correction is capped
+export const MEAL_MAX_ITEMS = 20;
+
+// Client-edited items: nutrition_per_100g may be dropped for renamed or added foods
+export const MEAL_CORRECTION_SCHEMA = {
+  type: "object",
+  required: ["items"],
+  properties: {
+    meal_name: { type: "string", default: "Meal" },
+    items: { type: "array", maxItems: MEAL_MAX_ITEMS, items: mealItem }
+  }
+};
+
+export const FOOD_NUTRITION_SCHEMA = {
+  type: "object",
+  required: ["nutrition_per_100g"],
+  properties: {
+    ingredients: stringList,
+    nutrition_per_100g: { type: "object", properties: nutrientValues }
+  }
+};
+
+export const ALLERGEN_SCHEMA = {
+  type: "object",
+  required: ["allergens"],
+  properties: {
+    allergens: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: ["allergen"],
+        properties: {
+          allergen: { type: "string" },
+          risk: { type: "string", enum: ["High", "Medium", "Low"], default: "Medium" },
+          description: { type: "string", default: "" }
+        }
+      }
+    }
+  }
+};
+
+export const INGREDIENT_DETAILS_SCHEMA = {
+  type: "object",
+  required: ["ingredients"],
+  properties: {
+    ingredients: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string" },
+          role: { type: "string", default: "" },
+          origin: { type: "string", enum: ["plant", "animal", "mineral", "synthetic", "fermentation", "unknown"], default: "unknown" },
+          description: { type: "string", default: "" },
+          health_notes: { type: "string", default: "" },
+          testosterone_impact: { type: "string", enum: ["positive", "neutral", "negative"], default: "neutral" }
+        }
+      }
+    }
+  }
+};
+
+export const BIG9_ALLERGENS = ["milk", "eggs", "fish", "shellfish", "tree_nuts", "peanuts", "wheat", "soy", "sesame"];
+export const PROFILE_DIETS = ["vegan", "vegetarian", "gluten_free", "dairy_free", "keto", "low_sodium"];
+
+export const PROFILE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string", default: "" },
+    allergens: { type: "array", default: [], items: { type: "string", enum: BIG9_ALLERGENS } },
+    diets: { type: "array", default: [], items: { type: "string", enum: PROFILE_DIETS } },
+    avoid: stringList,
+    limits: {
+      type: "object",
+      default: {},
+      properties: {
+        net_carbs_g: { type: "number", minimum: 0, default: 10 },
+        sodium_mg: { type: "number", minimum: 0, default: 140 }
+      }
+    }
+  }
+};
+
+export const CONSUMPTION_SCHEMA = {
+  type: "object",
+  properties: {
+    servings: { type: "number", minimum: 0, default: 1 },
+    consumedAt: { type: ["string", "null"], default: null }
+  }
+};
@@ -0,0 +1,100 @@
+import { IngredientTaxonomyService } from "./ingredientTaxonomy.js";
+
+export const MACRO_TARGETS = {
+  protein: { min: 20, max: 30, kcalPerGram: 4, field: "protein" },
+  fat: { min: 30, max: 40, kcalPerGram: 9, field: "total_fat" },
+  carbs: { min: 30, max: 40, kcalPerGram: 4, field: "total_carbohydrate" }
+};
+
+// Percentage points outside the target band -> macro subscore
+export const MACRO_DEVIATION_BANDS = [
+  { maxDeviation: 0, score: 100 },
+  { maxDeviation: 5, score: 85 },
+  { maxDeviation: 10, score: 65 },
+  { maxDeviation: 20, score: 40 },
+  { maxDeviation: Infinity, score: 15 }
+];
+
+export const RISK_WEIGHTS = { "✅": 100, "⚠": 65, "❌": 20 };
+
+export const SCORE_CATEGORIES = [
+  { min: 85, emoji: "🟢", label: "Good", category: "Excellent" },
+  { min: 60, emoji: "🟡", label: "Moderate", category: "Moderate" },
+  { min: 0, emoji: "🔴", label: "Poor", category: "Poor" }
+];
+
+export const SCORE_WEIGHTS = { macroBalance: 0.5, disruptors: 0.5 };
+
+// Number of moderate disruptors that together count as "multiple" (❌)
+export const MODERATE_DISRUPTOR_LIMIT = 3;
+
+function toNumber(value) {
+  const num = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : 0;
+}
+
+export class TestosteroneScoreService {
+  static deviationScore(percent, target) {
+    const deviation = percent < target.min ? target.min - percent : percent > target.max ? percent - target.max : 0;
+    return MACRO_DEVIATION_BANDS.find(band => deviation <= band.maxDeviation).score;
+  }
+
+  static categorize(score) {
+    return SCORE_CATEGORIES.find(band => score >= band.min);
+  }
+
+  static macroBalance(nutritionFacts = {}) {
+    const energy = {};
+    for (const [macro, target] of Object.entries(MACRO_TARGETS)) {
+      energy[macro] = Math.max(0, toNumber(nutritionFacts[target.field])) * target.kcalPerGram;
+    }
+
+    const totalEnergy = Object.values(energy).reduce((sum, kcal) => sum + kcal, 0);
+    if (totalEnergy === 0) {
+      return { score: null, label: null, percentages: null, subscores: null };
+    }
+
+    const percentages = {};
+    const subscores = {};
+    for (const [macro, target] of Object.entries(MACRO_TARGETS)) {
+      percentages[macro] = Math.round((energy[macro] / totalEnergy) * 1000) / 10;
+      subscores[macro] = this.deviationScore(percentages[macro], target);
+    }
+
+    const values = Object.values(subscores);
+    const score = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    return { score, label: this.categorize(score).label, percentages, subscores };
+  }
+
+  static disruptorRisk(disruptors) {
+    const high = disruptors.filter(d => d.severity === "high").length;
+    const moderate = disruptors.length - high;
+
+    let level = "✅";
+    if (high > 0 || moderate >= MODERATE_DISRUPTOR_LIMIT) level = "❌";
+    else if (moderate > 0) level = "⚠";
+
+    return { level, subscore: RISK_WEIGHTS[level], count: disruptors.length, disruptors };
+  }
+
+  static score({ nutritionFacts, ingredients, disruptors } = {}) {
+    const macro = this.macroBalance(nutritionFacts);
+    const risk = this.disruptorRisk(disruptors || IngredientTaxonomyService.match(ingredients));
+
+    const score = macro.score === null
+      ? risk.subscore
+      : Math.round(macro.score * SCORE_WEIGHTS.macroBalance + risk.subscore * SCORE_WEIGHTS.disruptors);
+    const category = this.categorize(score);
+
+    return { score, label: category.label, category: category.category, emoji: category.emoji, macro_balance: macro, ingredient_risk: risk };
+  }
+
+  static toImpact(scoring) {
+    return {
+      label: scoring.label,
+      score_perc: scoring.score,
+      macro_balance: scoring.macro_balance.label || "Unknown",
+      hormone_disruptor: scoring.ingredient_risk.count
+    };
+  }
+}
@@ -1,63 +1,141 @@
-import fetch from "node-fetch";
+import config from "../config.js";
+import { CacheService } from "./cache.js";
+import { RobotsService } from "./robots.js";
+import { Utils } from "./utils.js";
+import { HtmlExtractionService } from "./htmlExtraction.js";
+import { SafeFetchService, BlockedUrlError } from "./safeFetch.js";
+import { CostService } from "./costs.js";
+import { Logger } from "./logger.js";
+import { Tracer } from "./tracing.js";
+import { MetricsService } from "./metrics.js";
+
+const hostBuckets = new Map();
 
 export class WebScrapingService {
-  static async scrapeUrl(url, maxLength = 3000) {
+  static async scrapeUrl(url, maxLength = 3000, options = {}) {
+    const { cacheMode = "default" } = options;
+    return Tracer.span("scrape.page", { "url.full": url }, async (span) => {
+      const page = await CacheService.wrap("page", `${maxLength}:${url}`, cacheMode, () => this.fetchPage(url, maxLength));
+      span.setAttributes({ "scrape.success": Boolean(page), "scrape.length": page?.content?.length });
+      return page;
+    });
+  }
+
+  static async throttle(host, crawlDelay) {
+    let bucket = hostBuckets.get(host);
+    if (!bucket) {
+      bucket = { tokens: config.scraper.hostBurst, rate: config.scraper.hostRatePerSecond, updatedAt: Date.now() };
+    }
+    // Re-inserted on every use so the least recently scraped hosts are dropped first once the map is full
+    hostBuckets.delete(host);
+    hostBuckets.set(host, bucket);
+    while (hostBuckets.size > config.scraper.maxHostBuckets) {
+      hostBuckets.delete(hostBuckets.keys().next().value);
+    }
+    if (crawlDelay) {
+      bucket.rate = Math.min(bucket.rate, 1 / Math.min(crawlDelay, config.scraper.maxCrawlDelaySeconds));
+    }
+
+    for (;;) {
+      const now = Date.now();
+      bucket.tokens = Math.min(config.scraper.hostBurst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate);
+      bucket.updatedAt = now;
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000)));
+    }
+  }
+
+  static async fetchPage(url, maxLength) {
+    let parsed;
     try {
-      const response = await fetch(url, {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) return null;
+
+    try {
+      // Refuse internal hosts before robots.txt is requested from them
+      await SafeFetchService.check(url, { purpose: "scrape" });
+      const robots = await RobotsService.check(url);
+      if (!robots.allowed) {
+        Logger.info("Skipping page disallowed by robots.txt", { url });
+        MetricsService.recordScrape(url, "disallowed");
+        return null;
+      }
+      await this.throttle(parsed.host, robots.crawlDelay);
+
+      const response = await SafeFetchService.fetch(url, {
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+          'User-Agent': config.scraper.userAgent,
+          'Accept': 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.8'
         },
-        timeout: 10000
+        purpose: "scrape",
+        timeoutMs: config.scraper.timeoutMs,
+        maxBytes: config.scraper.maxBytes
       });
+      CostService.recordScrape(response.body.length);
 
-      if (!response.ok) return null;
+      if (!response.ok) {
+        MetricsService.recordScrape(url, `http_${response.status}`);
+        return null;
+      }
+      // Servers mislabel often enough that the bytes decide over the header
+      const contentType = response.sniffedType || response.contentType || "";
+      if (!/text\/html|application\/xhtml\+xml|text\/plain/i.test(contentType)) {
+        MetricsService.recordScrape(url, "unsupported_type");
+        return null;
+      }
 
-      const html = await response.text();
-      const textContent = this.extractTextFromHTML(html);
-      if (!textContent) return null;
+      const html = response.body.toString("utf8");
+      const { text, structured } = /html|xhtml/i.test(contentType) || /^\s*</.test(html)
+        ? HtmlExtractionService.extract(html)
+        : { text: html.replace(/\s+/g, " ").trim(), structured: null };
+      if (!text && !structured) {
+        MetricsService.recordScrape(url, "empty");
+        return null;
+      }
 
-      return { url, content: textContent.slice(0, maxLength), success: true };
+      MetricsService.recordScrape(url, "success");
+      return { url, content: text.slice(0, maxLength), structured, success: true };
     } catch (error) {
-      console.warn(`Failed to scrape ${url}:`, error.message);
+      MetricsService.recordScrape(url, error instanceof BlockedUrlError ? "blocked" : error.name === "AbortError" ? "timeout" : "error");
+      Logger.warn("Failed to scrape page", { url, error: error.name === "AbortError" ? `timed out after ${config.scraper.timeoutMs}ms` : error.message });
       return null;
     }
   }
 
   static extractTextFromHTML(html) {
     try {
-      let text = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-      text = text.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-      text = text.replace(/<[^>]+>/g, ' ');
-      text = text.replace(/&nbsp;/g, ' ');
-      text = text.replace(/&amp;/g, '&');
-      text = text.replace(/&lt;/g, '<');
-      text = text.replace(/&gt;/g, '>');
-      text = text.replace(/&quot;/g, '"');
-      text = text.replace(/&#39;/g, "'");
-      text = text.replace(/\s+/g, ' ').trim();
-      return text;
+      return HtmlExtractionService.extract(html).text;
     } catch (error) {
-      console.warn('Failed to extract text from HTML:', error.message);
+      Logger.warn("Failed to extract text from HTML", { error: error.message });
       return '';
     }
   }
 
-  static async scrapeMultipleUrls(searchResults, maxUrls = 5) {
+  static async scrapeMultipleUrls(searchResults, maxUrls = 5, options = {}) {
+    const { onResult = () => {}, cacheMode = "default" } = options;
     const urlsToScrape = searchResults.slice(0, maxUrls);
-    const scrapedResults = [];
 
-    for (const result of urlsToScrape) {
+    const pages = await Utils.mapWithConcurrency(urlsToScrape, config.scraper.concurrency, async (result) => {
       try {
-        const scrapedContent = await this.scrapeUrl(result.link);
-        if (scrapedContent && scrapedContent.success) {
-          scrapedResults.push({ title: result.title, url: result.link, content: scrapedContent.content });
-        }
-        await new Promise(resolve => setTimeout(resolve, 500));
+        const scrapedContent = await this.scrapeUrl(result.link, 3000, { cacheMode });
+        const page = scrapedContent && scrapedContent.success
+          ? { title: result.title, url: result.link, content: scrapedContent.content, structured: scrapedContent.structured || null, trust: result.trust || null }
+          : null;
+        onResult(page, result);
+        return page;
       } catch (error) {
-        console.warn(`Failed to scrape ${result.link}:`, error.message);
+        Logger.warn("Failed to scrape page", { url: result.link, error: error.message });
+        onResult(null, result);
+        return null;
       }
-    }
+    });
 
-    return scrapedResults;
+    return pages.filter(Boolean);
   }
 }
@@ -0,0 +1,112 @@
+import config from "../config.js";
+import { CacheService } from "./cache.js";
+import { SearchProviderFactory } from "./searchProviders.js";
+import { CostService } from "./costs.js";
+import { Logger } from "./logger.js";
+import { Tracer } from "./tracing.js";
+
+export const SEARCH_STRATEGIES = ["fallback", "merge"];
+
+let providers = null;
+
+function normalizeUrl(link) {
+  try {
+    const url = new URL(link);
+    url.hash = "";
+    for (const param of [...url.searchParams.keys()]) {
+      if (/^(utm_|gclid$|fbclid$|ref$)/i.test(param)) url.searchParams.delete(param);
+    }
+    return `${url.hostname.replace(/^www\./, "")}${url.pathname.replace(/\/+$/, "")}${url.search}`.toLowerCase();
+  } catch {
+    return link;
+  }
+}
+
+export class SearchService {
+  static getProviders() {
+    if (!providers) {
+      if (!SEARCH_STRATEGIES.includes(config.search.strategy)) {
+        throw new Error(`Unknown SEARCH_STRATEGY: ${config.search.strategy}`);
+      }
+      providers = config.search.providers.map(name => SearchProviderFactory.create(name));
+    }
+    return providers;
+  }
+
+  static setProviders(list) {
+    providers = list;
+  }
+
+  static status() {
+    return this.getProviders().map(provider => ({ name: provider.name, configured: provider.isConfigured() }));
+  }
+
+  static async search(query, count = 8, options = {}) {
+    const { cacheMode = "default" } = options;
+    const names = this.getProviders().map(provider => provider.name).join("+");
+    return CacheService.wrap("search", `${config.search.strategy}:${names}:${count}:${query}`, cacheMode, () => this.fetchResults(query, count));
+  }
+
+  static async fetchResults(query, count) {
+    const available = this.getProviders().filter(provider => provider.isConfigured());
+    if (available.length === 0) {
+      throw new Error(`No search provider is configured (SEARCH_PROVIDERS=${config.search.providers.join(",")})`);
+    }
+
+    const failures = [];
+    const run = async (provider) => {
+      try {
+        const results = await Tracer.span(`search.${provider.name}`, { "search.query": query, "search.count": count }, async (span) => {
+          const found = await provider.search(query, count);
+          span.setAttributes({ "search.results": found.length });
+          return found;
+        }, { kind: "client" });
+        CostService.recordSearch(provider.name);
+        return results.map(result => ({ ...result, provider: provider.name }));
+      } catch (error) {
+        Logger.warn("Search provider failed", { provider: provider.name, error: error.message });
+        failures.push(`${provider.name}: ${error.message}`);
+        return null;
+      }
+    };
+
+    if (config.search.strategy === "merge") {
+      const lists = await Promise.all(available.map(run));
+      if (lists.every(list => list === null)) throw new Error(`All search providers failed (${failures.join("; ")})`);
+      return this.mergeResults(lists.filter(Boolean), count);
+    }
+
+    for (const provider of available) {
+      const results = await run(provider);
+      if (results && results.length > 0) return results;
+    }
+    if (failures.length === available.length) throw new Error(`All search providers failed (${failures.join("; ")})`);
+    return [];
+  }
+
+  // Interleaves provider rankings so each backend's top hits survive the cut, dropping duplicate URLs
+  static mergeResults(lists, count) {
+    const merged = [];
+    const seen = new Map();
+    const longest = Math.max(0, ...lists.map(list => list.length));
+
+    for (let rank = 0; rank < longest; rank++) {
+      for (const list of lists) {
+        const result = list[rank];
+        if (!result?.link) continue;
+        const key = normalizeUrl(result.link);
+        const existing = seen.get(key);
+        if (existing) {
+          if (!existing.providers.includes(result.provider)) existing.providers.push(result.provider);
+          if (!existing.snippet && result.snippet) existing.snippet = result.snippet;
+          continue;
+        }
+        const entry = { ...result, providers: [result.provider] };
+        seen.set(key, entry);
+        merged.push(entry);
+      }
+    }
+
+    return merged.slice(0, count);
+  }
+}
@@ -0,0 +1,153 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import config from "../config.js";
+import { BraveSearchService } from "./brave.js";
+
+export class SearchFixtureMissingError extends Error {
+  constructor(key, file) {
+    super(`No search fixture recorded for request ${key} (expected ${file})`);
+    this.name = "SearchFixtureMissingError";
+    this.key = key;
+    this.file = file;
+  }
+}
+
+async function fetchJson(url, label, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.search.timeoutMs);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`${label} error: ${response.status} ${(await response.text()).slice(0, 300)}`);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === "AbortError") throw new Error(`${label} timed out after ${config.search.timeoutMs}ms`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class BraveSearchProvider {
+  constructor() {
+    this.name = "brave";
+  }
+
+  isConfigured() {
+    return Boolean(config.brave.apiKey);
+  }
+
+  async search(query, count) {
+    return BraveSearchService.search(query, count);
+  }
+}
+
+export class GoogleCSEProvider {
+  constructor({ apiKey, engineId }) {
+    this.name = "google";
+    this.apiKey = apiKey;
+    this.engineId = engineId;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey && this.engineId);
+  }
+
+  async search(query, count) {
+    // The Custom Search JSON API returns at most 10 results per request
+    const params = new URLSearchParams({ key: this.apiKey, cx: this.engineId, q: query, num: String(Math.min(count, 10)) });
+    const data = await fetchJson(`https://www.googleapis.com/customsearch/v1?${params}`, "Google CSE");
+    return (data.items || []).map(item => ({
+      title: item.title || "",
+      link: item.link || "",
+      snippet: item.snippet || ""
+    }));
+  }
+}
+
+export class SearXNGProvider {
+  constructor({ baseURL, language }) {
+    this.name = "searxng";
+    this.baseURL = (baseURL || "").replace(/\/+$/, "");
+    this.language = language;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL);
+  }
+
+  async search(query, count) {
+    // The instance must have "json" enabled under search.formats in settings.yml
+    const params = new URLSearchParams({ q: query, format: "json", language: this.language, safesearch: "1" });
+    const data = await fetchJson(`${this.baseURL}/search?${params}`, "SearXNG", { headers: { Accept: "application/json" } });
+    return (data.results || []).slice(0, count).map(item => ({
+      title: item.title || "",
+      link: item.url || "",
+      snippet: item.content || ""
+    }));
+  }
+}
+
+export class FixtureSearchProvider {
+  constructor(dir, mode = "replay", recorder = null) {
+    this.name = "fixture";
+    this.dir = dir;
+    this.mode = mode;
+    this.recorder = recorder;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  static fixtureKey(query, count) {
+    return crypto.createHash("sha256").update(JSON.stringify({ query: query.trim().toLowerCase(), count })).digest("hex").slice(0, 32);
+  }
+
+  async search(query, count) {
+    const key = FixtureSearchProvider.fixtureKey(query, count);
+    const file = path.join(this.dir, `${key}.json`);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(file, "utf8"));
+      return fixture.results;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (this.mode !== "record" || !this.recorder) throw new SearchFixtureMissingError(key, file);
+    }
+
+    const results = await this.recorder.search(query, count);
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ key, query, count, recordedAt: new Date().toISOString(), provider: this.recorder.name, results }, null, 2));
+    return results;
+  }
+}
+
+export class SearchProviderFactory {
+  static create(name) {
+    switch (name) {
+      case "brave":
+        return new BraveSearchProvider();
+
+      case "google":
+        return new GoogleCSEProvider(config.search.google);
+
+      case "searxng":
+        return new SearXNGProvider(config.search.searxng);
+
+      case "fixture": {
+        const { dir, mode, recordProvider } = config.search.fixtures;
+        if (mode === "record" && recordProvider === "fixture") {
+          throw new Error("SEARCH_FIXTURE_RECORD_PROVIDER must be a live provider");
+        }
+        return new FixtureSearchProvider(dir, mode, mode === "record" ? this.create(recordProvider) : null);
+      }
+
+      default:
+        throw new Error(`Unknown search provider: ${name}`);
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import { readFileSync } from "fs";
+import { Utils } from "./utils.js";
+import { UnitService } from "./units.js";
+
+const sourceTiers = JSON.parse(readFileSync(new URL("./data/sourceTiers.json", import.meta.url), "utf8"));
+
+const STOPWORDS = new Set(["the", "and", "with", "for", "from", "original", "classic", "new"]);
+const MIN_RELEVANCE = 0.5;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function tokens(text) {
+  return (text || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length >= 3 && !STOPWORDS.has(token));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// A serving stated only as a volume has no weight without a density, so it cannot be put on a per-100 g basis
+function servingGrams(servingSize) {
+  return UnitService.parse(servingSize)?.grams || null;
+}
+
+export class SourceRankingService {
+  static get tiers() {
+    return sourceTiers;
+  }
+
+  static classify(url, productData = {}) {
+    const host = hostOf(url);
+    const brandSlug = (productData.brand || "").toString().toLowerCase().replace(/[^a-z0-9]/g, "");
+
+    let tier = "unknown";
+    for (const [name, definition] of Object.entries(sourceTiers.tiers)) {
+      if (definition.domains.some(domain => domainMatches(host, domain))) {
+        tier = name;
+        break;
+      }
+    }
+    // Manufacturer sites are recognised by the registrable domain being the brand itself, so "brandfan.blogspot.com" does not qualify
+    const registrable = Utils.registrableDomain(host);
+    if (tier === "unknown" && brandSlug.length >= 3 && registrable.slice(0, registrable.indexOf(".")).replace(/-/g, "") === brandSlug) {
+      tier = "brand";
+    }
+
+    return { domain: host, tier, weight: sourceTiers.tiers[tier].weight };
+  }
+
+  static relevance(text, productData = {}) {
+    const brandTokens = tokens(productData.brand);
+    const productTokens = tokens(productData.product_name).filter(token => !brandTokens.includes(token));
+    if (brandTokens.length === 0 && productTokens.length === 0) return 1;
+
+    const haystack = new Set(tokens(text));
+    const joined = tokens(text).join("");
+    const brandScore = brandTokens.length === 0
+      ? 1
+      : brandTokens.every(token => haystack.has(token)) || joined.includes(brandTokens.join("")) ? 1 : 0;
+    const productScore = productTokens.length === 0
+      ? 1
+      : productTokens.filter(token => haystack.has(token)).length / productTokens.length;
+
+    return round(0.5 * brandScore + 0.5 * productScore);
+  }
+
+  static rank(searchResults, productData = {}) {
+    const seen = new Set();
+    return searchResults
+      .filter(result => {
+        if (!result.link || seen.has(result.link)) return false;
+        seen.add(result.link);
+        return true;
+      })
+      .map((result, index) => {
+        const source = this.classify(result.link, productData);
+        const relevance = this.relevance(`${result.title} ${result.snippet} ${result.link}`, productData);
+        return { ...result, trust: { ...source, relevance, score: round(source.weight * (0.5 + 0.5 * relevance), 3) }, index };
+      })
+      .sort((a, b) => b.trust.score - a.trust.score || a.index - b.index)
+      .map(({ index, ...result }) => result);
+  }
+
+  // Pages list different serving sizes, so values are compared per 100 g
+  static per100gValues(nutrition) {
+    if (!nutrition) return null;
+    if (nutrition.basis === "per_100g") return nutrition.values;
+
+    const grams = servingGrams(nutrition.serving_size);
+    if (!grams) return null;
+    return Object.fromEntries(Object.entries(nutrition.values).map(([field, value]) => [field, round((value * 100) / grams)]));
+  }
+
+  static reconcile(pages, productData = {}, { servingGrams: targetGrams = null } = {}) {
+    const candidates = pages.map(page => {
+      const source = page.trust || this.classify(page.url, productData);
+      const relevance = this.relevance(`${page.title} ${page.content}`, productData);
+      return { page, source, relevance, values: relevance >= MIN_RELEVANCE ? this.per100gValues(page.structured?.nutrition) : null };
+    });
+
+    // Without a serving size from the label, use the one stated by the most trusted page
+    const servingSize = targetGrams > 0 ? targetGrams : candidates
+      .filter(candidate => candidate.values && servingGrams(candidate.page.structured.nutrition.serving_size))
+      .sort((a, b) => b.source.weight - a.source.weight)
+      .map(candidate => servingGrams(candidate.page.structured.nutrition.serving_size))[0] || null;
+    const perServing = value => round((value * servingSize) / 100);
+
+    const byField = {};
+    for (const candidate of candidates) {
+      for (const [field, value] of Object.entries(candidate.values || {})) {
+        (byField[field] = byField[field] || []).push({ candidate, value });
+      }
+    }
+
+    const nutritionFacts = {};
+    const fields = {};
+    for (const [field, entries] of Object.entries(servingSize ? byField : {})) {
+      const values = entries.map(entry => entry.value);
+      const trusted = entries
+        .filter(entry => sourceTiers.trustedTiers.includes(entry.candidate.source.tier))
+        .sort((a, b) => b.candidate.source.weight - a.candidate.source.weight)[0];
+
+      const per100g = trusted ? trusted.value : round(median(values));
+      const center = median(values);
+      const spread = entries.length > 1 ? round((Math.max(...values) - Math.min(...values)) / (Math.abs(center) || Math.max(...values) || 1)) : 0;
+
+      nutritionFacts[field] = perServing(per100g);
+      fields[field] = {
+        value: nutritionFacts[field],
+        per100g,
+        method: trusted ? "trusted_source" : entries.length > 1 ? "median" : "single_source",
+        selectedFrom: trusted ? trusted.candidate.page.url : entries.length === 1 ? entries[0].candidate.page.url : null,
+        sourceCount: entries.length,
+        spread
+      };
+    }
+
+    const ingredientSource = candidates
+      .filter(candidate => candidate.relevance >= MIN_RELEVANCE && candidate.page.structured?.ingredients?.length > 0)
+      .sort((a, b) => b.source.weight - a.source.weight)[0] || null;
+
+    const sources = candidates.map(({ page, source, relevance, values }) => ({
+      type: "web",
+      url: page.url,
+      title: page.title,
+      domain: source.domain,
+      tier: source.tier,
+      trust: source.weight,
+      relevance,
+      used: Boolean(servingSize && values && Object.keys(values).length > 0) || ingredientSource?.page === page,
+      extraction: page.structured?.sources || [],
+      nutrients: Object.fromEntries(Object.entries(values || {}).filter(([field]) => fields[field]).map(([field, value]) => [field, {
+        value: perServing(value),
+        per100g: value,
+        selected: fields[field].selectedFrom === page.url || (fields[field].method === "median" && value === fields[field].per100g),
+        deviation: round(Math.abs(value - fields[field].per100g) / (Math.abs(fields[field].per100g) || 1))
+      }])),
+      ingredients: ingredientSource?.page === page
+    }));
+
+    return {
+      nutritionFacts,
+      servingGrams: servingSize,
+      ingredients: ingredientSource ? ingredientSource.page.structured.ingredients : null,
+      ingredientsTier: ingredientSource?.source.tier || null,
+      fields,
+      sources
+    };
+  }
+}
@@ -0,0 +1,185 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { performance } from "perf_hooks";
+import fetch from "node-fetch";
+import config from "../config.js";
+import { RequestContext } from "./requestContext.js";
+import { Logger } from "./logger.js";
+
+// OTLP enum values
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+let buffer = [];
+let flushTimer = null;
+let flushChain = Promise.resolve();
+
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+function attributeValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === "number") return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+export class Span {
+  constructor(name, { kind = "internal", parent = null, attributes = {} } = {}) {
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent?.traceId || crypto.randomBytes(16).toString("hex");
+    this.spanId = crypto.randomBytes(8).toString("hex");
+    this.parentSpanId = parent?.spanId || null;
+    this.start = nowNanos();
+    this.end = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: "unset", message: null };
+    this.setAttributes(attributes);
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(Logger.redact(attributes))) {
+      if (value !== undefined && value !== null) this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowNanos(), attributes: Logger.redact(attributes) });
+    return this;
+  }
+
+  recordError(error) {
+    this.addEvent("exception", { "exception.type": error.name, "exception.message": error.message });
+    this.status = { code: "error", message: Logger.redact(error.message) };
+    return this;
+  }
+
+  finish(status = null) {
+    if (this.end !== null) return;
+    this.end = nowNanos();
+    if (status && this.status.code === "unset") this.status = { code: status, message: null };
+    Tracer.export(this);
+  }
+
+  get durationMs() {
+    return Number(((this.end ?? nowNanos()) - this.start) / 1000n) / 1000;
+  }
+
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: SPAN_KINDS[this.kind],
+      startTimeUnixNano: String(this.start),
+      endTimeUnixNano: String(this.end),
+      attributes: Object.entries(this.attributes).map(([key, value]) => ({ key, value: attributeValue(value) })),
+      events: this.events.map(event => ({
+        name: event.name,
+        timeUnixNano: String(event.time),
+        attributes: Object.entries(event.attributes).map(([key, value]) => ({ key, value: attributeValue(value) }))
+      })),
+      status: { code: STATUS_CODES[this.status.code], ...(this.status.message ? { message: this.status.message } : {}) }
+    };
+  }
+}
+
+export class Tracer {
+  static current() {
+    return RequestContext.get()?.span || null;
+  }
+
+  // W3C trace context, so a caller's trace continues through this service
+  static parseTraceparent(header) {
+    const match = (header || "").trim().toLowerCase().match(TRACEPARENT);
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+    return { traceId: match[1], spanId: match[2] };
+  }
+
+  static startSpan(name, options = {}) {
+    return new Span(name, { ...options, parent: options.parent === undefined ? this.current() : options.parent });
+  }
+
+  // Runs fn as a child of the current span; errors mark the span and are rethrown
+  static async span(name, attributes, fn, options = {}) {
+    const span = this.startSpan(name, { ...options, attributes });
+    try {
+      const result = await RequestContext.run({ ...(RequestContext.get() || {}), span }, () => fn(span));
+      span.finish("ok");
+      return result;
+    } catch (error) {
+      span.recordError(error).finish();
+      throw error;
+    }
+  }
+
+  static export(span) {
+    if (config.tracing.exporters.length === 0) return;
+    buffer.push(span);
+    if (buffer.length >= config.tracing.maxBatchSize) {
+      this.flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(() => this.flush(), config.tracing.flushIntervalMs);
+      flushTimer.unref();
+    }
+  }
+
+  static flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const batch = buffer;
+    buffer = [];
+    if (batch.length === 0) return flushChain;
+
+    flushChain = flushChain.catch(() => {}).then(() => Promise.all(config.tracing.exporters.map(async (exporter) => {
+      try {
+        if (exporter === "otlp") await this.exportOtlp(batch);
+        else if (exporter === "file") await this.exportFile(batch);
+        else Logger.warn("Unknown tracing exporter", { exporter });
+      } catch (error) {
+        Logger.warn("Span export failed", { exporter, spans: batch.length, error: error.message });
+      }
+    })));
+    return flushChain;
+  }
+
+  // OTLP/HTTP with the JSON encoding, as accepted by the collector's :4318 receiver
+  static async exportOtlp(batch) {
+    const body = {
+      resourceSpans: [{
+        resource: { attributes: [{ key: "service.name", value: { stringValue: config.tracing.serviceName } }] },
+        scopeSpans: [{ scope: { name: config.tracing.serviceName }, spans: batch.map(span => span.toOtlp()) }]
+      }]
+    };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    try {
+      const response = await fetch(`${config.tracing.otlpEndpoint}/v1/traces`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      if (!response.ok) throw new Error(`OTLP collector returned HTTP ${response.status}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static async exportFile(batch) {
+    await fs.mkdir(path.dirname(config.tracing.filePath), { recursive: true });
+    const lines = batch.map(span => JSON.stringify({ service: config.tracing.serviceName, ...span.toOtlp(), durationMs: span.durationMs }));
+    await fs.appendFile(config.tracing.filePath, `${lines.join("\n")}\n`);
+  }
+}
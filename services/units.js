@@ -0,0 +1,157 @@
+import { ProductCategoryService } from "./productCategories.js";
+
+// Factors convert to grams (mass) or millilitres (volume); household measures use the FDA label sizes
+export const UNITS = {
+  mg: { kind: "mass", factor: 0.001 },
+  g: { kind: "mass", factor: 1 },
+  kg: { kind: "mass", factor: 1000 },
+  oz: { kind: "mass", factor: 28.3495 },
+  lb: { kind: "mass", factor: 453.592 },
+  ml: { kind: "volume", factor: 1 },
+  cl: { kind: "volume", factor: 10 },
+  dl: { kind: "volume", factor: 100 },
+  l: { kind: "volume", factor: 1000 },
+  fl_oz: { kind: "volume", factor: 29.5735 },
+  cup: { kind: "volume", factor: 240, household: true },
+  tbsp: { kind: "volume", factor: 15, household: true },
+  tsp: { kind: "volume", factor: 5, household: true },
+  piece: { kind: "count", factor: 1 }
+};
+
+const METRIC = new Set(["mg", "g", "kg", "ml", "cl", "dl", "l"]);
+
+// g/ml by product keyword, used only to convert between a stated volume and a mass; anything unmatched is treated like water
+export const DENSITY_DEFAULTS = [
+  { match: "oil", pattern: /\boils?\b/, density: 0.92 },
+  { match: "honey", pattern: /\bhoney\b/, density: 1.42 },
+  { match: "syrup", pattern: /\bsyrups?\b/, density: 1.33 },
+  { match: "milk", pattern: /\b(milk|kefir|yogurt drink|drinking yogurt)\b/, density: 1.03 },
+  { match: "juice", pattern: /\b(juices?|nectar|smoothies?)\b/, density: 1.04 },
+  { match: "beverage", pattern: /\b(soda|cola|soft drink|energy drink|sports drink|lemonade|water|tea|coffee|beverage|drink|broth|stock)\b/, density: 1.0 }
+];
+
+// Volumes a label can only mean literally; household measures also appear on solids ("2 tbsp (32 g)")
+const STATED_VOLUME = /\d\s*(fl\.?\s*oz|fluid\s+ounces?|ml|millilit(?:er|re)s?|cl|dl|lit(?:er|re)s?|l)(?![a-z])/i;
+// "1 lb 4 oz" is one weight written in two units
+const MASS_JOINER = /^\s*(?:,|\+|and|&)?\s*$/i;
+
+const FRACTIONS = { "½": "1/2", "¼": "1/4", "¾": "3/4", "⅓": "1/3", "⅔": "2/3", "⅛": "1/8" };
+
+const QUANTITY_PATTERN = new RegExp(
+  "(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?)\\s*" +
+  "(fl\\.?\\s*oz|fluid\\s+ounces?|ounces?|oz|lbs?|pounds?|kg|kilograms?|mg|milligrams?|grams?|gr|g|ml|millilit(?:er|re)s?|cl|dl|lit(?:er|re)s?|l" +
+  "|cups?|tbsps?|tablespoons?|tbs|tsps?|teaspoons?|pieces?|pcs?|slices?|bars?|cookies?|crackers?|biscuits?|chips?|units?|each" +
+  "|capsules?|tablets?|scoops?|pouch(?:es)?|cans?|bottles?|packets?|sticks?|eggs?)(?![a-z])",
+  "gi"
+);
+
+function parseAmount(text) {
+  const [whole, fraction] = text.includes("/") ? (text.includes(" ") ? text.split(/\s+/) : ["0", text]) : [text, null];
+  const base = parseFloat(whole.replace(",", "."));
+  if (!fraction) return base;
+  const [num, den] = fraction.split("/").map(Number);
+  return den ? base + num / den : base;
+}
+
+function unitKey(token, liquid) {
+  const unit = token.toLowerCase().replace(/[.\s]+/g, "");
+  if (/^(floz|fluidounces?)$/.test(unit)) return "fl_oz";
+  if (/^(oz|ounces?)$/.test(unit)) return liquid ? "fl_oz" : "oz";
+  if (/^(lbs?|pounds?)$/.test(unit)) return "lb";
+  if (/^(kg|kilograms?)$/.test(unit)) return "kg";
+  if (/^(mg|milligrams?)$/.test(unit)) return "mg";
+  if (/^(g|gr|grams?)$/.test(unit)) return "g";
+  if (/^(ml|millilit(er|re)s?)$/.test(unit)) return "ml";
+  if (unit === "cl" || unit === "dl") return unit;
+  if (/^(l|lit(er|re)s?)$/.test(unit)) return "l";
+  if (/^cups?$/.test(unit)) return "cup";
+  if (/^(tbsps?|tablespoons?|tbs)$/.test(unit)) return "tbsp";
+  if (/^(tsps?|teaspoons?)$/.test(unit)) return "tsp";
+  return "piece";
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export class UnitService {
+  // A name mentioning milk or oil is not a drink; only a beverage category makes a bare "oz" fluid
+  static densityFor(text) {
+    const normalized = (text || "").toString().toLowerCase();
+    const match = DENSITY_DEFAULTS.find(entry => entry.pattern.test(normalized));
+    const liquid = ProductCategoryService.isBeverage(ProductCategoryService.classify([normalized]));
+    return match
+      ? { value: match.density, source: match.match, liquid }
+      : { value: 1, source: "water", liquid };
+  }
+
+  // "1 cup (240 ml)" -> the printed measure plus every metric equivalent the label spells out
+  static parse(input, options = {}) {
+    const { liquid = false } = options;
+    if (typeof input === "number") {
+      return input > 0 ? { text: `${input} g`, amount: input, unit: "g", kind: "mass", grams: input, ml: null, count: null, countUnit: null, approximate: false } : null;
+    }
+
+    const text = (input || "").toString().trim();
+    if (!text) return null;
+    const normalized = text.replace(/(\d)?([½¼¾⅓⅔⅛])/g, (_, digit, fraction) => `${digit ? `${digit} ` : ""}${FRACTIONS[fraction]}`);
+
+    const fluid = liquid || STATED_VOLUME.test(normalized);
+    const measures = [];
+    for (const match of normalized.matchAll(QUANTITY_PATTERN)) {
+      const unit = unitKey(match[2], fluid);
+      const measure = { amount: parseAmount(match[1]), unit, token: match[2], end: match.index + match[0].length, ...UNITS[unit] };
+      if (!Number.isFinite(measure.amount) || measure.amount <= 0) continue;
+      const previous = measures[measures.length - 1];
+      if (previous?.unit === "lb" && measure.unit === "oz" && MASS_JOINER.test(normalized.slice(previous.end, match.index))) {
+        previous.amount += measure.amount / 16;
+        previous.end = measure.end;
+        continue;
+      }
+      measures.push(measure);
+    }
+
+    if (measures.length === 0) {
+      const bare = parseFloat(normalized.replace(",", "."));
+      return /^\d+(?:[.,]\d+)?$/.test(normalized) && bare > 0 ? this.parse(bare) : null;
+    }
+
+    const pick = (kind) => {
+      const candidates = measures.filter(measure => measure.kind === kind);
+      return candidates.find(measure => METRIC.has(measure.unit))
+        || candidates.find(measure => !measure.household)
+        || candidates[0]
+        || null;
+    };
+    const mass = pick("mass");
+    const volume = pick("volume");
+    const count = pick("count");
+    const [primary] = measures;
+
+    return {
+      text,
+      amount: primary.amount,
+      unit: primary.unit === "piece" ? primary.token.toLowerCase() : primary.unit,
+      kind: primary.kind,
+      grams: mass ? round(mass.amount * mass.factor) : null,
+      ml: volume ? round(volume.amount * volume.factor) : null,
+      count: count ? count.amount : null,
+      countUnit: count ? count.token.toLowerCase() : null,
+      // Household measures are nominal sizes, not what the manufacturer measured
+      approximate: !mass && Boolean(volume?.household)
+    };
+  }
+
+  static toGrams(quantity, density) {
+    if (!quantity) return null;
+    if (quantity.grams !== null) return quantity.grams;
+    return quantity.ml !== null ? round(quantity.ml * density.value) : null;
+  }
+
+  static toMillilitres(quantity, density) {
+    if (!quantity) return null;
+    if (quantity.ml !== null) return quantity.ml;
+    return quantity.grams !== null ? round(quantity.grams / density.value) : null;
+  }
+}
@@ -1,14 +1,82 @@
+import { Logger } from "./logger.js";
+
+// Public suffixes with two labels that appear among the grocery and retailer hosts we see
+const SECOND_LEVEL_SUFFIXES = new Set(["co.uk", "org.uk", "gov.uk", "ac.uk", "com.au", "net.au", "gov.au", "co.nz", "co.jp", "co.za", "com.br", "com.mx", "co.in", "com.sg", "com.hk", "com.tr", "europa.eu"]);
+
 export class Utils {
   static extractJsonFromText(text) {
-    if (!text) return null;
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) return null;
-    try {
-      return JSON.parse(jsonMatch[0]);
-    } catch (error) {
-      console.warn('Failed to parse JSON from text:', error.message);
-      return null;
+    return this.parseJsonFromText(text).value;
+  }
+
+  static parseJsonFromText(text) {
+    if (!text) return { value: null, error: "empty response" };
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidates = [text.trim(), fenced?.[1]?.trim(), ...this.balancedJsonCandidates(text)].filter(Boolean);
+
+    let lastError = "no JSON object found";
+    for (const candidate of candidates) {
+      try {
+        const value = JSON.parse(candidate);
+        if (value && typeof value === "object") return { value, error: null };
+      } catch (error) {
+        lastError = error.message;
+      }
     }
+
+    Logger.warn("Failed to parse JSON from text", { error: lastError });
+    return { value: null, error: lastError };
+  }
+
+  static balancedJsonCandidates(text, maxCandidates = 3) {
+    const candidates = [];
+    let start = text.indexOf("{");
+
+    while (start !== -1 && candidates.length < maxCandidates) {
+      let depth = 0;
+      let inString = false;
+      let end = -1;
+      for (let i = start; i < text.length && end === -1; i++) {
+        const ch = text[i];
+        if (inString) {
+          if (ch === "\\") i++;
+          else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+          inString = true;
+        } else if (ch === "{" || ch === "[") {
+          depth++;
+        } else if ((ch === "}" || ch === "]") && --depth === 0) {
+          end = i + 1;
+        }
+      }
+      if (end === -1) break;
+      candidates.push(text.slice(start, end));
+      start = text.indexOf("{", end);
+    }
+    return candidates;
+  }
+
+  // "shop.brand.co.uk" -> "brand.co.uk"; IP addresses and single-label hosts are returned unchanged
+  static registrableDomain(host) {
+    const labels = (host || "").toLowerCase().replace(/\.$/, "").split(".");
+    if (labels.length <= 2 || /^[\d.]+$|:/.test(host)) return labels.join(".");
+    const suffixLength = SECOND_LEVEL_SUFFIXES.has(labels.slice(-2).join(".")) ? 2 : 1;
+    return labels.slice(-(suffixLength + 1)).join(".");
+  }
+
+  static async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    });
+
+    await Promise.all(workers);
+    return results;
   }
 
   static formatSearchResultsForLLM(results, maxResults = 5, maxSnippetLen = 300) {
@@ -26,7 +94,9 @@ export class Utils {
       .slice(0, maxResults)
       .map((r, i) => {
         const content = (r.content || "").replace(/\s+/g, " ").trim().slice(0, 2000);
-        return `${i + 1}. Title: ${r.title}\n   URL: ${r.url}\n   Content: ${content}`;
+        const structured = r.structured ? `\n   Structured facts (${r.structured.sources.join(", ")}): ${JSON.stringify({ nutrition: r.structured.nutrition, ingredients: r.structured.ingredients })}` : "";
+        const tier = r.trust ? `\n   Source tier: ${r.trust.tier} (trust ${r.trust.weight})` : "";
+        return `${i + 1}. Title: ${r.title}\n   URL: ${r.url}${tier}${structured}\n   Content: ${content}`;
       })
       .join("\n\n");
   }
@@ -0,0 +1,158 @@
+const NULLISH_TOKENS = new Set(["", "-", "n/a", "na", "none", "unknown", "not available", "null", "trace", "unavailable"]);
+const SCHEMA_KEYWORDS = ["type", "properties", "required", "items", "anyOf", "enum", "minimum", "maximum", "maxItems"];
+
+export class SchemaValidationError extends Error {
+  constructor(message, errors, rawOutput = null) {
+    super(message);
+    this.name = "SchemaValidationError";
+    this.errors = errors;
+    this.rawOutput = rawOutput;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function typeName(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+function typesOf(schema) {
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+export class SchemaValidator {
+  static parseNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+    if (typeof value === "boolean" || value === null) return value === null ? 0 : undefined;
+    if (typeof value !== "string") return undefined;
+
+    const text = value.trim().toLowerCase();
+    if (NULLISH_TOKENS.has(text)) return 0;
+
+    const match = text.replace(/(\d),(\d{3})\b/g, "$1$2").match(/^[<>~≈]?\s*(-?\d+(?:[.,]\d+)?)\s*(%|[a-zµμ]+)?\.?$/i);
+    return match ? parseFloat(match[1].replace(",", ".")) : undefined;
+  }
+
+  static coerce(value, schema) {
+    const errors = [];
+    const coercions = [];
+    const result = this.coerceNode(value, schema, "$", errors, coercions);
+    return { value: result, valid: errors.length === 0, errors, coercions };
+  }
+
+  static coerceNode(value, schema, path, errors, coercions) {
+    if (value === undefined) {
+      if ("default" in schema) {
+        coercions.push(`${path}: missing, defaulted to ${JSON.stringify(schema.default)}`);
+        return this.coerceNode(clone(schema.default), schema, path, errors, coercions);
+      }
+      errors.push(`${path}: is required`);
+      return undefined;
+    }
+
+    if (schema.anyOf) {
+      for (const option of schema.anyOf) {
+        const attempt = this.coerce(value, option);
+        if (attempt.valid) return attempt.value;
+      }
+      errors.push(`${path}: does not match any allowed shape`);
+      return value;
+    }
+
+    const types = typesOf(schema);
+
+    if (value === null && types.includes("null")) return null;
+
+    if (types.includes("object")) {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        errors.push(`${path}: expected object, got ${typeName(value)}`);
+        return value;
+      }
+      const output = { ...value };
+      for (const key of schema.required || []) {
+        if (value[key] === undefined && !("default" in (schema.properties?.[key] || {}))) {
+          errors.push(`${path}.${key}: is required`);
+        }
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        if (value[key] === undefined && !("default" in propSchema)) continue;
+        output[key] = this.coerceNode(value[key], propSchema, `${path}.${key}`, errors, coercions);
+      }
+      return output;
+    }
+
+    if (types.includes("array")) {
+      let list = value;
+      if (value === null) list = [];
+      else if (typeof value === "string") list = value.split(/\s*,\s*/).filter(Boolean);
+      else if (!Array.isArray(value)) {
+        errors.push(`${path}: expected array, got ${typeName(value)}`);
+        return value;
+      }
+      if (list !== value) coercions.push(`${path}: converted ${JSON.stringify(value)} to array`);
+      if (schema.maxItems !== undefined && list.length > schema.maxItems) {
+        errors.push(`${path}: has ${list.length} items, more than the maximum of ${schema.maxItems}`);
+        return list;
+      }
+      return schema.items ? list.map((item, i) => this.coerceNode(item, schema.items, `${path}[${i}]`, errors, coercions)) : list;
+    }
+
+    if (types.includes("number") || types.includes("integer")) {
+      let num = this.parseNumber(value);
+      if (num === undefined) {
+        errors.push(`${path}: expected number, got ${JSON.stringify(value)}`);
+        return value;
+      }
+      if (types.includes("integer") && !Number.isInteger(num)) num = Math.round(num);
+      if (schema.minimum !== undefined && num < schema.minimum) {
+        errors.push(`${path}: ${num} is below the minimum of ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && num > schema.maximum) {
+        errors.push(`${path}: ${num} is above the maximum of ${schema.maximum}`);
+      }
+      if (num !== value) coercions.push(`${path}: converted ${JSON.stringify(value)} to ${num}`);
+      return num;
+    }
+
+    if (types.includes("string")) {
+      if (value === null && "default" in schema) return this.coerceNode(clone(schema.default), schema, path, errors, coercions);
+      const text = typeof value === "number" || typeof value === "boolean" ? String(value) : value;
+      if (typeof text !== "string") {
+        errors.push(`${path}: expected string, got ${typeName(value)}`);
+        return value;
+      }
+      if (schema.enum && !schema.enum.includes(text)) {
+        const match = schema.enum.find(option => option.toLowerCase() === text.trim().toLowerCase());
+        if (!match) {
+          errors.push(`${path}: must be one of ${schema.enum.join(", ")}, got ${JSON.stringify(text)}`);
+          return text;
+        }
+        coercions.push(`${path}: normalised ${JSON.stringify(text)} to ${JSON.stringify(match)}`);
+        return match;
+      }
+      return text;
+    }
+
+    return value;
+  }
+
+  static toJsonSchema(schema) {
+    const output = {};
+    for (const key of SCHEMA_KEYWORDS) {
+      if (!(key in schema)) continue;
+      if (key === "properties") {
+        output.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, prop]) => [name, this.toJsonSchema(prop)]));
+      } else if (key === "items") {
+        output.items = this.toJsonSchema(schema.items);
+      } else if (key === "anyOf") {
+        output.anyOf = schema.anyOf.map(option => this.toJsonSchema(option));
+      } else {
+        output[key] = schema[key];
+      }
+    }
+    return output;
+  }
+}
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { IngredientTaxonomyService } from "../services/ingredientTaxonomy.js";
+
+const ids = (ingredients) => IngredientTaxonomyService.match(ingredients).map(match => match.id);
+
+const FIXTURES = [
+  { ingredients: ["vegetable oil (canola, soybean and/or sunflower oil)"], expected: ["canola_oil", "soybean_oil", "sunflower_oil"] },
+  { ingredients: ["artificial colors (Red 40, Yellow 5, Blue 1)"], expected: ["red_40", "yellow_5", "blue_1"] },
+  { ingredients: ["colors (FD&C Yellow No. 6, Caramel Color)"], expected: ["yellow_6", "caramel_color"] },
+  { ingredients: ["sugar (cane sugar, corn syrup)"], expected: ["cane_sugar", "corn_syrup"] },
+  { ingredients: ["Sugar, vegetable oil, salt"], expected: ["sugar", "vegetable_oil"] },
+  { ingredients: ["soybean oil, soy lecithin"], expected: ["soybean_oil", "soy_lecithin"] },
+  { ingredients: ["canola oil", "Canola Oil"], expected: ["canola_oil"] },
+  { ingredients: ["whole wheat flour, water"], expected: [] }
+];
+
+for (const { ingredients, expected } of FIXTURES) {
+  test(`matches ${JSON.stringify(ingredients)}`, () => {
+    assert.deepEqual(ids(ingredients), expected);
+  });
+}
+
+test("counts every seed oil named in a parenthetical towards the disruptor count", () => {
+  const fields = IngredientTaxonomyService.toResultFields(IngredientTaxonomyService.match(["vegetable oil (canola, soybean and/or sunflower oil)"]));
+  assert.equal(fields.seed_oils.length, 3);
+  assert.equal(fields.disruptor_count, 3);
+});
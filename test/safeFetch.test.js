@@ -0,0 +1,145 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+// Settings come from the environment before the module loads, so the suite needs no API keys or audit log
+process.env.LLM_PROVIDER ??= "fixture";
+process.env.SAFE_FETCH_AUDIT_LOG = "";
+process.env.SAFE_FETCH_ALLOW_HOSTS = "127.0.0.1,allowed.invalid";
+const { SafeFetchService, BlockedUrlError } = await import("../services/safeFetch.js");
+
+const BLOCK_REASONS = [
+  ["127.0.0.1", "loopback"],
+  ["::1", "loopback"],
+  ["10.1.2.3", "private"],
+  ["172.31.255.255", "private"],
+  ["192.168.0.10", "private"],
+  ["100.64.0.1", "private"],
+  ["fd12:3456::1", "private"],
+  ["169.254.169.254", "metadata"],
+  ["169.254.170.2", "metadata"],
+  ["fd00:ec2::254", "metadata"],
+  ["169.254.1.1", "link_local"],
+  ["fe80::1", "link_local"],
+  ["0.0.0.0", "unspecified"],
+  ["224.0.0.1", "multicast"],
+  ["192.0.2.5", "reserved"],
+  ["::ffff:127.0.0.1", "loopback"],
+  ["::ffff:7f00:1", "loopback"],
+  ["::ffff:a9fe:a9fe", "metadata"],
+  ["::ffff:10.0.0.1", "private"],
+  ["64:ff9b::10.0.0.1", "private"],
+  ["64:ff9b::a9fe:a9fe", "metadata"],
+  ["64:ff9b::c0a8:1", "private"],
+  ["8.8.8.8", null],
+  ["2606:4700:4700::1111", null],
+  ["::ffff:8.8.8.8", null],
+  ["64:ff9b::808:808", null]
+];
+
+for (const [address, reason] of BLOCK_REASONS) {
+  test(`blockReason(${address}) is ${reason}`, () => {
+    assert.equal(SafeFetchService.blockReason(address), reason);
+  });
+}
+
+const BLOCKED_URLS = [
+  ["http://metadata.google.internal/computeMetadata/v1/", "metadata"],
+  ["http://instance-data/latest/meta-data/", "metadata"],
+  ["http://169.254.169.254/latest/meta-data/", "metadata"],
+  ["http://[::ffff:169.254.169.254]/", "metadata"],
+  ["http://[64:ff9b::7f00:1]/", "loopback"],
+  ["http://10.0.0.1/", "private"],
+  ["ftp://example.com/file", "scheme_not_allowed"],
+  ["not a url", "invalid_url"],
+  ["http://allowed.invalid/", "dns_failure"]
+];
+
+for (const [url, reason] of BLOCKED_URLS) {
+  test(`check refuses ${url} as ${reason}`, async () => {
+    await assert.rejects(SafeFetchService.check(url), error => error instanceof BlockedUrlError && error.reason === reason);
+  });
+}
+
+// A loopback server stands in for a public host; only its exact hostname is allowlisted
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const redirects = {
+      "/to-metadata": "http://169.254.169.254/latest/meta-data/",
+      "/to-private": "http://192.168.1.1/admin",
+      "/to-mapped-loopback": `http://[::ffff:127.0.0.1]:${server.address().port}/ok`,
+      "/to-ok": "/ok"
+    };
+    if (req.url.startsWith("/bytes/")) {
+      // Two chunks, so a body that ends exactly on the limit arrives in pieces
+      const size = Number(req.url.slice("/bytes/".length));
+      res.writeHead(200, { "content-type": "application/octet-stream" });
+      res.write(Buffer.alloc(Math.floor(size / 2), 1));
+      return res.end(Buffer.alloc(size - Math.floor(size / 2), 1));
+    }
+    if (redirects[req.url]) {
+      res.writeHead(302, { location: redirects[req.url] });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": "text/plain" });
+    res.end("ok");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test("follows a redirect to an allowed host", async () => {
+  const response = await SafeFetchService.fetch(`${origin}/to-ok`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.toString(), "ok");
+  assert.deepEqual(response.redirects, [`${origin}/ok`]);
+});
+
+const BLOCKED_REDIRECTS = [
+  ["/to-metadata", "metadata", "169.254.169.254"],
+  ["/to-private", "private", "192.168.1.1"],
+  ["/to-mapped-loopback", "loopback", "::ffff:7f00:1"]
+];
+
+for (const [path, reason, address] of BLOCKED_REDIRECTS) {
+  test(`refuses a redirect from ${path} as ${reason}`, async () => {
+    await assert.rejects(SafeFetchService.fetch(`${origin}${path}`), error => {
+      assert.ok(error instanceof BlockedUrlError);
+      assert.equal(error.reason, reason);
+      assert.equal(error.address, address);
+      return true;
+    });
+  });
+}
+
+test("maxRedirects: 0 refuses the first redirect", async () => {
+  await assert.rejects(SafeFetchService.fetch(`${origin}/to-ok`, { maxRedirects: 0 }), /Too many redirects \(more than 0\)/);
+});
+
+test("maxRedirects: 0 still fetches a page that does not redirect", async () => {
+  const response = await SafeFetchService.fetch(`${origin}/ok`, { maxRedirects: 0 });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.redirects, []);
+});
+
+const TRUNCATION = [
+  [9, 10, false],
+  [10, 10, false],
+  [11, 10, true],
+  [4, 2, true]
+];
+
+for (const [size, maxBytes, truncated] of TRUNCATION) {
+  test(`a ${size}-byte body read with maxBytes ${maxBytes} is ${truncated ? "" : "not "}truncated`, async () => {
+    const response = await SafeFetchService.fetch(`${origin}/bytes/${size}`, { maxBytes });
+    assert.equal(response.body.length, Math.min(size, maxBytes));
+    assert.equal(response.truncated, truncated);
+  });
+}
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TestosteroneScoreService, MACRO_TARGETS, RISK_WEIGHTS, SCORE_WEIGHTS } from "../services/scoring.js";
+
+const moderate = { severity: "moderate" };
+const high = { severity: "high" };
+
+// Protein target is 20-30 % of energy, so each case sits on or just past a band edge
+const DEVIATION_BANDS = [
+  [20, 100],
+  [30, 100],
+  [25, 100],
+  [15, 85],
+  [35, 85],
+  [14.9, 65],
+  [35.1, 65],
+  [10, 65],
+  [40, 65],
+  [9.9, 40],
+  [0, 40],
+  [50, 40],
+  [50.1, 15],
+  [100, 15]
+];
+
+for (const [percent, score] of DEVIATION_BANDS) {
+  test(`protein at ${percent} % of energy scores ${score}`, () => {
+    assert.equal(TestosteroneScoreService.deviationScore(percent, MACRO_TARGETS.protein), score);
+  });
+}
+
+const CATEGORIES = [
+  [100, "Good"],
+  [85, "Good"],
+  [84, "Moderate"],
+  [60, "Moderate"],
+  [59, "Poor"],
+  [0, "Poor"]
+];
+
+for (const [score, label] of CATEGORIES) {
+  test(`a score of ${score} is ${label}`, () => {
+    assert.equal(TestosteroneScoreService.categorize(score).label, label);
+  });
+}
+
+test("risk weights are 100 / 65 / 20 and the blend is 50/50", () => {
+  assert.deepEqual(RISK_WEIGHTS, { "✅": 100, "⚠": 65, "❌": 20 });
+  assert.deepEqual(SCORE_WEIGHTS, { macroBalance: 0.5, disruptors: 0.5 });
+});
+
+const RISK_LEVELS = [
+  [[], "✅", 100],
+  [[moderate], "⚠", 65],
+  [[moderate, moderate], "⚠", 65],
+  [[moderate, moderate, moderate], "❌", 20],
+  [[high], "❌", 20]
+];
+
+for (const [disruptors, level, subscore] of RISK_LEVELS) {
+  test(`${disruptors.length} disruptor(s) (${disruptors.map(d => d.severity).join(", ") || "none"}) are ${level}`, () => {
+    const risk = TestosteroneScoreService.disruptorRisk(disruptors);
+    assert.equal(risk.level, level);
+    assert.equal(risk.subscore, subscore);
+  });
+}
+
+// 100 / 140 / 140 kcal puts every macro inside its target band
+const BALANCED = { protein: 25, total_carbohydrate: 35, total_fat: 140 / 9 };
+// All energy from carbohydrate: protein 20 points under, fat 30 under, carbs 60 over
+const CARBS_ONLY = { total_carbohydrate: 50 };
+
+const BLENDS = [
+  [BALANCED, [], 100],
+  [BALANCED, [moderate], 83],
+  [BALANCED, [high], 60],
+  [CARBS_ONLY, [], Math.round(((40 + 15 + 15) / 3) * 0.5 + 100 * 0.5)],
+  [CARBS_ONLY, [high], Math.round(((40 + 15 + 15) / 3) * 0.5 + 20 * 0.5)]
+];
+
+for (const [nutritionFacts, disruptors, score] of BLENDS) {
+  test(`blends macro balance and disruptor risk into ${score}`, () => {
+    assert.equal(TestosteroneScoreService.score({ nutritionFacts, disruptors }).score, score);
+  });
+}
+
+test("without macro energy the score is the disruptor subscore alone", () => {
+  assert.equal(TestosteroneScoreService.score({ nutritionFacts: {}, disruptors: [moderate] }).score, 65);
+  assert.equal(TestosteroneScoreService.macroBalance({}).score, null);
+});